@@ -1,6 +1,111 @@
-import { AbstractModule, DataCache } from 'adapt-authoring-core'
+import { AbstractModule, DataCache, Hook } from 'adapt-authoring-core'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
 import { addAccessClause } from 'adapt-authoring-api'
-import { buildRecentlyChangedPipeline } from './utils.js'
+import { convertObjectIds } from 'adapt-authoring-mongodb'
+import { buildAuthoringStatsPipeline, buildBackfillUpdate, buildContributorUpdate, buildDateRangeQuery, buildOwnershipEntry, buildRecentlyChangedPipeline, buildSchemaVariant, collectObjectIds, decodeRecentCursor, encodeRecentCursor, isVersionConflict, toETag } from './utils.js'
+
+/**
+ * Upper bound for the number of rows returned by a single recently-changed request
+ * @type {Number}
+ */
+const MAX_RECENT_LIMIT = 100
+/**
+ * Default period covered by authoring statistics, in days
+ * @type {Number}
+ */
+const DEFAULT_STATS_DAYS = 30
+/**
+ * Default number of days without an update after which courses and assets are reported as stale
+ * @type {Number}
+ */
+const DEFAULT_STALE_DAYS = 180
+/**
+ * How often to send a comment down open change streams, so that idle connections aren't dropped
+ * @type {Number}
+ */
+const STREAM_KEEPALIVE_INTERVAL = 30000
+/**
+ * Name of the collection used to store document revisions
+ * @type {String}
+ */
+const REVISIONS_COLLECTION = 'authoredrevisions'
+/**
+ * Name of the collection used to journal ownership transfers
+ * @type {String}
+ */
+const TRANSFERS_COLLECTION = 'authoredtransfers'
+/**
+ * Name of the collection soft-deleted documents are moved to until restored or purged
+ * @type {String}
+ */
+const TRASH_COLLECTION = 'authoredtrash'
+/**
+ * Indexes supporting the authored queries (ownership lookups and recently-changed sorting), ensured on each
+ * registered collection when `manageIndexes` is enabled
+ * @type {Array<Object>}
+ */
+const AUTHORED_INDEXES = [
+  { createdBy: 1 },
+  { updatedAt: 1 },
+  { _courseId: 1, updatedAt: 1 }
+]
+/**
+ * Document fields holding the state of an edit lock
+ * @type {Array<String>}
+ */
+const LOCK_FIELDS = ['lockedBy', 'lockedAt', 'lockExpiresAt']
+/**
+ * Document fields recording who owns, has contributed to or is editing a document (along with its mapped
+ * creator field), which restoring a revision leaves as they are
+ * @type {Array<String>}
+ */
+const RESTORE_PRESERVED_FIELDS = ['owners', 'ownershipHistory', 'contributors', 'contributorActivity', ...LOCK_FIELDS]
+/**
+ * Property set on insert data by server-side code to import it with its authored metadata intact
+ * @type {String}
+ */
+const IMPORT_FLAG = '_authoredImport'
+/**
+ * Authored fields which registered modules can store under other names (see the `fields` registration option)
+ * @type {Array<String>}
+ */
+const AUTHORED_FIELDS = ['createdAt', 'createdBy', 'updatedAt', 'updatedBy']
+/**
+ * Fills in the defaults of the options a module is registered with
+ * @param {Object} options
+ * @return {Object}
+ */
+const resolveModuleOptions = ({ accessCheck = true, revisions = false, softDelete = false, cacheHeaders = true, timestamps = true, authorship = true, courseBump = true, fields = {} } = {}) => ({
+  accessCheck,
+  revisions,
+  softDelete,
+  cacheHeaders,
+  timestamps,
+  authorship,
+  courseBump,
+  fields: Object.fromEntries(AUTHORED_FIELDS.map(f => [f, fields[f] ?? f]))
+})
+/**
+ * Aggregation expression appending an entry to a document's ownership history (for pipeline updates)
+ * @param {Object} entry The history entry
+ * @return {Object}
+ */
+const appendOwnershipEntry = entry => ({ $concatArrays: [{ $ifNull: ['$ownershipHistory', []] }, [entry]] })
+
+/**
+ * Converts any ObjectId strings in a query, update or pipeline (in place), as the mongodb module does for its own
+ * methods. Needed wherever the MongoDB driver is used directly, as ids are stored as ObjectIds.
+ * @param {Object|Array} o The query, update or pipeline
+ * @return {Object|Array} The same object
+ */
+const withObjectIds = o => {
+  convertObjectIds(o)
+  return o
+}
+
 /**
  * Add supplementary data to existing schemas which defines how and when data was authored
  * @memberof authored
@@ -30,12 +135,364 @@ class AuthoredModule extends AbstractModule {
      * @type {DataCache}
      */
     this.courseCache = new DataCache({ enable: true, lifespan: 30000 })
+    /**
+     * Cache for content parent lookups
+     * @type {DataCache}
+     */
+    this.parentCache = new DataCache({ enable: true, lifespan: 30000 })
+    /**
+     * Course timestamp bumps waiting to be written, keyed by _courseId
+     * @type {Map<String,Object>}
+     */
+    this.pendingCourseTimestamps = new Map()
+    /**
+     * Options each module was registered with
+     * @type {Map<AbstractModule,Object>}
+     */
+    this.moduleOptions = new Map()
+    /**
+     * Context for the request being handled, used to attribute writes to the acting user
+     * @type {AsyncLocalStorage}
+     */
+    this.requestContext = new AsyncLocalStorage()
+    /**
+     * Invoked after a document in a registered module has been inserted, updated, deleted or restored
+     * @type {Hook}
+     */
+    this.changedHook = new Hook()
+    /**
+     * Invoked after the ownership of documents has changed
+     * @type {Hook}
+     */
+    this.ownershipTransferredHook = new Hook()
+    /**
+     * Invoked after a course (and its content, see `propagateUpdates`) has had its timestamp bumped
+     * @type {Hook}
+     */
+    this.courseTouchedHook = new Hook()
+    /**
+     * Listeners of the change event stream (see `changesStreamHandler`)
+     * @type {Set<Function>}
+     */
+    this.changeSubscribers = new Set()
+    // stream clients come and go, so they're notified through a single observer rather than tapping the hook each
+    this.changedHook.tap(this.notifyChangeSubscribers.bind(this))
+
+    const server = await this.app.waitForModule('server')
+    server.api.addMiddleware((req, res, next) => this.requestContext.run({ req }, next))
 
     const jsonschema = await this.app.waitForModule('jsonschema')
     jsonschema.registerSchemasHook.tap(this.registerSchemas.bind(this))
 
     const users = await this.app.waitForModule('users')
     users.preDeleteHook.tap(this.blockOwnerDelete.bind(this))
+
+    await this.initRoutes()
+
+    this.app.onReady()
+      .then(() => this.resumeTransfers())
+      .catch(e => this.log('error', `failed to resume ownership transfers, ${e}`))
+
+    setInterval(() => this.purgeDeleted(), this.getConfig('softDeletePurgeInterval')).unref()
+    setInterval(() => this.clearExpiredLocks(), this.getConfig('lockCleanupInterval')).unref()
+
+    if (this.getConfig('courseTimestampDelay')) {
+      // write any coalesced course bumps before the process ends: beforeExit covers the app winding down by itself,
+      // but isn't emitted when the process is stopped by a signal
+      process.once('beforeExit', () => this.flushCourseTimestamps())
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.prependOnceListener(signal, () => this.handleShutdownSignal(signal))
+      }
+    }
+  }
+
+  /**
+   * Writes any coalesced course bumps when the process is asked to stop, then leaves stopping it to the app's own
+   * handlers for the signal, or stops it as Node would by default if there are none
+   * @param {String} signal The signal received
+   * @return {Promise}
+   */
+  async handleShutdownSignal (signal) {
+    await this.flushCourseTimestamps()
+    if (!process.listenerCount(signal)) process.exit(128 + os.constants.signals[signal])
+  }
+
+  /**
+   * Adds the module's API routes and secures them
+   * @return {Promise}
+   */
+  async initRoutes () {
+    const [auth, server] = await this.app.waitForModule('auth', 'server')
+    /**
+     * Router for the module's API routes
+     * @type {Router}
+     */
+    this.router = server.api.createChildRouter('authored')
+    const routes = [
+      {
+        route: '/transfer/:userId',
+        handlers: {
+          get: this.getTransferHandler.bind(this),
+          post: this.transferHandler.bind(this)
+        },
+        permissions: ['transfer:ownership'],
+        meta: {
+          get: {
+            summary: 'Preview the content owned by a user',
+            responses: { 200: { description: 'The courses and assets owned by the user, with per-collection counts' } }
+          },
+          post: {
+            summary: 'Transfer ownership of all content owned by a user to another user',
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      transferTo: { type: 'string', description: '_id of the user to receive ownership' },
+                      dryRun: { type: 'boolean', description: 'Only report the ids of the documents which would be transferred' }
+                    },
+                    required: ['transferTo']
+                  }
+                }
+              }
+            },
+            responses: { 200: { description: 'Per-collection documents reassigned (`moved`) and error messages (`failed`), or the `ids` which would move for a dry run' } }
+          }
+        }
+      },
+      {
+        route: '/transfer/course/:courseId',
+        handlers: {
+          get: this.getCourseTransferHandler.bind(this),
+          post: this.courseTransferHandler.bind(this)
+        },
+        permissions: ['transfer:ownership'],
+        meta: {
+          get: {
+            summary: 'Preview the content and assets which would move with a course transfer',
+            responses: { 200: { description: 'The course owner, the course and unshared assets they own, per-collection counts and the ids of the shared assets which would be left alone' } }
+          },
+          post: {
+            summary: 'Transfer ownership of a course, its content and the assets only it references to another user',
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      transferTo: { type: 'string', description: '_id of the user to receive ownership' },
+                      dryRun: { type: 'boolean', description: 'Only report the ids of the documents which would be transferred' }
+                    },
+                    required: ['transferTo']
+                  }
+                }
+              }
+            },
+            responses: { 200: { description: 'As for a user transfer, plus the course owner (`from`) and the ids of the shared assets left alone' } }
+          }
+        }
+      },
+      {
+        route: '/backfill',
+        handlers: { post: this.backfillHandler.bind(this) },
+        permissions: ['migrate:authored'],
+        meta: {
+          post: {
+            summary: 'Fill in missing authored fields on existing documents',
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      dryRun: { type: 'boolean', description: 'Only report the documents missing fields' }
+                    }
+                  }
+                }
+              }
+            },
+            responses: { 200: { description: 'Per-collection counts of documents missing each field, and of documents modified' } }
+          }
+        }
+      },
+      {
+        route: '/recent',
+        handlers: { get: this.recentHandler.bind(this) },
+        permissions: ['read:authored'],
+        meta: {
+          get: {
+            summary: 'Retrieve the most-recently-changed documents the user has access to, newest first',
+            parameters: [
+              { name: 'limit', in: 'query', description: `Maximum number of rows to return (max ${MAX_RECENT_LIMIT})` },
+              { name: 'cursor', in: 'query', description: 'Cursor returned by a previous request, to continue from' },
+              { name: 'details', in: 'query', description: 'Set to true to include the title, _type and _courseId of each document' },
+              { name: 'updatedBy', in: 'query', description: 'Only include documents last updated by this user' },
+              { name: 'from', in: 'query', description: 'Only include documents updated at or after this date' },
+              { name: 'to', in: 'query', description: 'Only include documents updated before this date' },
+              { name: 'collections', in: 'query', description: 'Comma-separated list of the collections to include' },
+              { name: 'groupBy', in: 'query', description: 'Set to course to return one row per course, with its title, latest change and number of changes' }
+            ],
+            responses: { 200: { description: 'The rows (`results`), and a `cursor` for the next page (null when there are no more rows)' } }
+          }
+        }
+      },
+      {
+        route: '/stats',
+        handlers: { get: this.statsHandler.bind(this) },
+        permissions: ['report:authored'],
+        meta: {
+          get: {
+            summary: 'Retrieve the number of documents each user has created and updated over a date range',
+            parameters: [
+              { name: 'from', in: 'query', description: `Date the range starts at (defaults to ${DEFAULT_STATS_DAYS} days before to)` },
+              { name: 'to', in: 'query', description: 'Date the range ends at (defaults to now)' },
+              { name: 'interval', in: 'query', description: 'Period to group counts by, day (default) or week' },
+              { name: 'userId', in: 'query', description: 'Only include this user' }
+            ],
+            responses: { 200: { description: 'The range, and per-user created/updated totals, counts per collection and counts per period' } }
+          }
+        }
+      },
+      {
+        route: '/report',
+        handlers: { get: this.reportHandler.bind(this) },
+        permissions: ['report:authored'],
+        meta: {
+          get: {
+            summary: 'Report on stale courses and assets, and on content created by disabled or locked users',
+            parameters: [
+              { name: 'days', in: 'query', description: `Number of days without an update after which courses and assets are stale (defaults to ${DEFAULT_STALE_DAYS})` }
+            ],
+            responses: { 200: { description: 'The stale courses and assets (oldest first), and the disabled/locked users who created content, with per-collection counts and the courses and assets they created' } }
+          }
+        }
+      },
+      {
+        route: '/revisions/:collection/:docId',
+        handlers: { get: this.getRevisionsHandler.bind(this) },
+        permissions: ['read:revisions'],
+        meta: {
+          get: {
+            summary: 'Retrieve the revision history of a document, newest first',
+            responses: { 200: { description: 'The revision records' } }
+          }
+        }
+      },
+      {
+        route: '/revisions/:revisionId/restore',
+        handlers: { post: this.restoreRevisionHandler.bind(this) },
+        permissions: ['restore:revisions'],
+        meta: {
+          post: {
+            summary: 'Restore a document to the state recorded by a revision',
+            responses: { 200: { description: 'The restored document' } }
+          }
+        }
+      },
+      {
+        route: '/restore/:collection/:_id',
+        handlers: { post: this.restoreDeletedHandler.bind(this) },
+        permissions: ['restore:authored'],
+        meta: {
+          post: {
+            summary: 'Restore a soft-deleted document',
+            responses: { 204: { description: 'The document was restored' } }
+          }
+        }
+      },
+      {
+        route: '/changes',
+        handlers: { get: this.changesStreamHandler.bind(this) },
+        permissions: ['read:authored'],
+        meta: {
+          get: {
+            summary: 'Stream changes to the documents the user has access to as server-sent events',
+            parameters: [
+              { name: 'courseId', in: 'query', description: 'Only stream changes to this course and its content' }
+            ],
+            responses: { 200: { description: 'An event stream of `change` events, each with the actor, action, collection, id and courseId of the change' } }
+          }
+        }
+      },
+      {
+        route: '/contributors/:courseId',
+        handlers: { get: this.getContributorsHandler.bind(this) },
+        permissions: ['read:authored'],
+        meta: {
+          get: {
+            summary: 'Retrieve the users who have modified a course and its content',
+            responses: { 200: { description: 'The contributors, with their edit counts and last-edit times, most active first' } }
+          }
+        }
+      },
+      {
+        route: '/lock/:collection/:_id',
+        handlers: {
+          post: this.acquireLockHandler.bind(this),
+          delete: this.releaseLockHandler.bind(this)
+        },
+        permissions: ['lock:authored'],
+        meta: {
+          post: {
+            summary: 'Acquire (or renew) the edit lock on a document',
+            responses: { 200: { description: 'The lock holder, when the lock was acquired and when it expires' } }
+          },
+          delete: {
+            summary: 'Release the edit lock on a document (users with the unlock:authored scope can release any lock)',
+            responses: { 204: { description: 'The lock was released' } }
+          }
+        }
+      },
+      {
+        route: '/owners/:collection/:_id',
+        handlers: { post: this.addOwnerHandler.bind(this) },
+        permissions: ['write:ownership'],
+        meta: {
+          post: {
+            summary: 'Add a co-owner to a document',
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { userId: { type: 'string', description: '_id of the user to add as co-owner' } },
+                    required: ['userId']
+                  }
+                }
+              }
+            },
+            responses: { 200: { description: 'The document owners' } }
+          }
+        }
+      },
+      {
+        route: '/owners/:collection/:_id/:userId',
+        handlers: { delete: this.removeOwnerHandler.bind(this) },
+        permissions: ['write:ownership'],
+        meta: {
+          delete: {
+            summary: 'Remove a co-owner from a document',
+            responses: { 200: { description: 'The document owners' } }
+          }
+        }
+      },
+      {
+        route: '/ownership/:collection/:_id',
+        handlers: { get: this.getOwnershipHistoryHandler.bind(this) },
+        permissions: ['read:authored'],
+        meta: {
+          get: {
+            summary: 'Retrieve the ownership lineage of a document',
+            responses: { 200: { description: 'The original owner, current owners and every ownership change (oldest first)' } }
+          }
+        }
+      }
+    ]
+    routes.forEach(({ permissions, ...r }) => {
+      this.router.addRoute(r)
+      Object.keys(r.handlers).forEach(method => auth.secureRoute(`${this.router.path}${r.route}`, method, permissions))
+    })
   }
 
   /**
@@ -43,9 +500,16 @@ class AuthoredModule extends AbstractModule {
    * @param {AbstractApiModule} mod
    * @param {Object} options
    * @param {Boolean} [options.accessCheck=true] Whether to grant the creator ownership access to their own documents
+   * @param {Boolean} [options.revisions=false] Whether to record a revision for every insert, update and delete
+   * @param {Boolean} [options.softDelete=false] Whether deleted documents should be kept in a trash collection until purged
+   * @param {Boolean} [options.cacheHeaders=true] Whether GET responses should have Last-Modified/ETag headers, and support conditional requests
+   * @param {Boolean} [options.timestamps=true] Whether to stamp documents with createdAt/updatedAt
+   * @param {Boolean} [options.authorship=true] Whether to stamp documents with createdBy/updatedBy
+   * @param {Boolean} [options.courseBump=true] Whether writes should bump the timestamp of the document's course
+   * @param {Object} [options.fields] Map of authored field (createdAt, createdBy, updatedAt, updatedBy) to the name it's
+   * stored under in the module's documents. Statistics and recently-changed queries only work with the default names.
    */
   async registerModule (mod, options = {}) {
-    const { accessCheck = true } = options
     if (this.registeredModules.includes(mod)) {
       throw this.app.errors.DUPL_AUTHORED_MODULE_NAME
         .setData({ name: mod.name })
@@ -54,179 +518,1887 @@ class AuthoredModule extends AbstractModule {
       throw this.app.errors.API_MODULE_INVALID_CLASS
         .setData({ name: mod.name })
     }
-    if (mod.schemaName) {
-      const jsonschema = await this.app.waitForModule('jsonschema')
-      jsonschema.extendSchema(mod.schemaName, this.schemaName)
+    const invalidFields = Object.entries(options.fields ?? {})
+      .filter(([field, name]) => !AUTHORED_FIELDS.includes(field) || typeof name !== 'string' || !name)
+      .map(([field]) => field)
+    if (invalidFields.length) {
+      throw this.app.errors.INVALID_PARAMS
+        .setData({ params: invalidFields.map(f => `fields.${f}`) })
     }
+    const opts = resolveModuleOptions(options)
+    const { accessCheck, revisions, softDelete, cacheHeaders, timestamps, fields } = opts
+    if (mod.schemaName) await this.extendModuleSchema(mod, opts)
     this.registeredModules.push(mod)
+    this.moduleOptions.set(mod, opts)
     await this.registerSchemas()
+    // indexes are built in the background, so don't hold up registration
+    if (mod.collectionName && this.getConfig('manageIndexes')) this.ensureIndexes(mod.collectionName, this.getAuthoredIndexes(opts))
 
-    mod.requestHook.tap(this.updateAuthor, this)
-    mod.preInsertHook.tap((insertData) => this.updateTimestamps('insert', insertData))
-    // pass the real updateData so updatedAt lands on the written $set; the
-    // course id is passed separately so it isn't injected into the document
-    mod.preUpdateHook.tap((ogDoc, updateData) => this.updateTimestamps('update', updateData, updateData._courseId ?? ogDoc._courseId))
-    // deletes carry no acting user, so bump the course timestamp only (no updatedBy)
-    mod.preDeleteHook.tap((ogDoc) => this.updateCourseTimestamp({ _courseId: ogDoc._courseId }))
+    mod.requestHook.tap(req => this.updateAuthor(req, mod))
+    mod.preInsertHook.tap((insertData) => this.updateTimestamps('insert', insertData, { options: opts }))
+    // pass the real updateData so updatedAt lands on the written $set; the course
+    // and parent ids are passed separately so they aren't injected into the document
+    mod.preUpdateHook.tap(async (ogDoc, updateData) => {
+      // reject stale and locked-out writes before anything is stamped
+      if (timestamps) this.checkUpdateConflict(ogDoc, fields.updatedAt, fields.updatedBy)
+      this.checkLock(ogDoc)
+      const courseId = updateData._courseId ?? ogDoc._courseId
+      return this.updateTimestamps('update', updateData, {
+        // an update to a course stamps the course itself, and is written in full, so would overwrite a contributor
+        // roll-up written beforehand; its contributor is recorded once it's written instead (see recordContributor)
+        courseId: courseId && String(courseId) === String(ogDoc._id) ? null : courseId,
+        parentId: updateData._parentId ?? ogDoc._parentId,
+        options: opts
+      })
+    })
+    mod.postUpdateHook.tap((ogDoc, newDoc) => this.recordCreatorChange(mod, ogDoc, newDoc, fields.createdBy))
+    // deletes carry no data, so take the acting user from the request context (never the doc's stale updatedBy)
+    mod.preDeleteHook.tap((ogDoc) => {
+      if (opts.courseBump) return this.updateCourseTimestamp({ _courseId: ogDoc._courseId, _parentId: ogDoc._parentId, updatedBy: this.getActor() })
+    })
 
     // grant the creator additive access to their own documents (owner dimension of _access)
-    if (accessCheck) {
+    if (accessCheck && fields.createdBy === 'createdBy') {
       mod.accessCheckHook.tap(this.grantCreatorItem)
       mod.accessQueryHook.tap(this.grantCreatorQuery)
+    } else if (accessCheck) {
+      mod.accessCheckHook.tap((req, resource) => this.grantCreatorItem(req, resource, fields.createdBy))
+      mod.accessQueryHook.tap(req => this.grantCreatorQuery(req, fields.createdBy))
+    }
+    if (revisions) {
+      mod.postInsertHook.tap(doc => this.recordRevision(mod, 'insert', null, doc))
+      mod.postUpdateHook.tap((ogDoc, newDoc) => this.recordRevision(mod, 'update', ogDoc, newDoc))
+      mod.postDeleteHook.tap(ogDoc => this.recordRevision(mod, 'delete', ogDoc, null))
+    }
+    if (this.getConfig('trackContributors')) {
+      mod.postInsertHook.tap(doc => this.recordContributor(mod, doc))
+      mod.postUpdateHook.tap((ogDoc, newDoc) => this.recordContributor(mod, newDoc))
+    }
+    if (softDelete) {
+      mod.postDeleteHook.tap(ogDoc => this.softDelete(mod, ogDoc))
+    }
+    if (cacheHeaders && timestamps) {
+      mod.router?.addHandlerMiddleware((req, res, next) => this.cacheHeadersMiddleware(req, res, next, fields.updatedAt))
+    }
+    mod.postInsertHook.tap(doc => this.emitChanged(mod, 'insert', doc))
+    mod.postUpdateHook.tap((ogDoc, newDoc) => this.emitChanged(mod, 'update', newDoc, ogDoc))
+    mod.postDeleteHook.tap(ogDoc => this.emitChanged(mod, 'delete', ogDoc))
+  }
+
+  /**
+   * Invokes one of this module's event hooks with a normalized payload. Listeners are run in the background, so
+   * that they can't hold up or fail the write which triggered the event.
+   * @param {Hook} hook The hook to invoke
+   * @param {Object} data
+   * @param {String} data.action What happened
+   * @param {String} data.collection Collection of the affected documents
+   * @param {Array} data.ids _ids of the affected documents
+   * @param {String} [data.courseId] Course of the affected documents
+   * @param {String} [data.actor] User responsible (defaults to the current actor)
+   * @return {Object} The payload: `{ actor, action, collection, ids, courseId }` plus any other data passed
+   */
+  emit (hook, { actor = this.getActor(), action, collection, ids = [], courseId, ...data }) {
+    const payload = {
+      actor: actor ?? null,
+      action,
+      collection,
+      ids: ids.map(String),
+      courseId: courseId?.toString() ?? null,
+      ...data
+    }
+    Promise.resolve()
+      .then(() => hook.invoke(payload))
+      .catch(e => this.log('warn', `failed to handle authored ${action} event, ${e}`))
+    return payload
+  }
+
+  /**
+   * Emits the changed event for a write to a registered module, as well as the ownershipTransferred event for
+   * updates which change the document's creator
+   * @param {AbstractApiModule} mod The module written to
+   * @param {String} action The write action
+   * @param {Object} doc The written document (the deleted one for deletes)
+   * @param {Object} [ogDoc] The original document, for updates
+   */
+  emitChanged (mod, action, doc, ogDoc) {
+    const { createdBy } = this.getModuleOptions(mod).fields
+    const data = { collection: mod.collectionName, ids: [doc._id], courseId: doc._courseId }
+    this.emit(this.changedHook, { ...data, action, doc })
+    if (ogDoc && doc[createdBy] && String(ogDoc[createdBy]) !== String(doc[createdBy])) {
+      this.emit(this.ownershipTransferredHook, { ...data, action: 'update', from: ogDoc[createdBy], to: doc[createdBy] })
+    }
+  }
+
+  /**
+   * Middleware which sets Last-Modified/ETag headers on GET responses from the documents' updatedAt (the newest, for
+   * query results) and the response content, and responds 304 to conditional requests for unchanged documents
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @param {String} [updatedAtField=updatedAt] Name of the field holding the documents' updatedAt
+   */
+  cacheHeadersMiddleware (req, res, next, updatedAtField = 'updatedAt') {
+    if (req.method !== 'GET') return next()
+    const json = res.json.bind(res)
+    res.json = data => {
+      const docs = Array.isArray(data) ? data : [data]
+      const updatedAt = docs.reduce((newest, d) => {
+        const time = d?.[updatedAtField] ? new Date(d[updatedAtField]).getTime() : NaN
+        return time > newest ? time : newest
+      }, -Infinity)
+      if (res.statusCode !== 200 || !isFinite(updatedAt)) return json(data)
+      res.set('ETag', toETag(updatedAt, data))
+      res.set('Last-Modified', new Date(updatedAt).toUTCString())
+      // freshness is checked against the headers set above. Only the ETag reflects every change to the
+      // data, so If-Modified-Since alone never gets a 304
+      if (req.headers?.['if-none-match'] && req.fresh) return res.status(304).end()
+      return json(data)
     }
+    next()
   }
 
   /**
    * Per-item ownership grant (an `accessCheckHook` observer): grants access when the
-   * requesting user created the resource.
+   * requesting user created the resource, or is one of its co-owners.
    * @param {external:ExpressRequest} req
    * @param {Object} resource
+   * @param {String} [createdByField=createdBy] Name of the field holding the resource's creator
    * @return {Boolean}
    */
-  grantCreatorItem (req, resource) {
+  grantCreatorItem (req, resource, createdByField = 'createdBy') {
     const _id = req.auth?.user?._id
-    return !!_id && !!resource?.createdBy && String(resource.createdBy) === String(_id)
+    if (!_id) return false
+    const isUser = id => !!id && String(id) === String(_id)
+    return isUser(resource?.[createdByField]) || !!resource?.owners?.some(isUser)
   }
 
   /**
    * Query-level ownership grant (an `accessQueryHook` observer): widens the query to include
-   * the requesting user's own documents so they aren't missing from list endpoints. Required
-   * alongside the per-item grant to keep pagination counts accurate. No-op when unauthenticated.
+   * the requesting user's own and co-owned documents so they aren't missing from list endpoints.
+   * Required alongside the per-item grant to keep pagination counts accurate. No-op when unauthenticated.
    * @param {external:ExpressRequest} req
+   * @param {String} [createdByField=createdBy] Name of the field holding the documents' creator
    */
-  grantCreatorQuery (req) {
+  grantCreatorQuery (req, createdByField = 'createdBy') {
     const _id = req.auth?.user?._id
-    if (_id) addAccessClause(req.apiData.query, { createdBy: _id.toString() })
+    if (!_id) return
+    addAccessClause(req.apiData.query, { [createdByField]: _id.toString() })
+    addAccessClause(req.apiData.query, { owners: _id.toString() })
+  }
+
+  /**
+   * Moves a deleted document into the trash collection, so it can be restored until purged. Tapped on the
+   * module's `postDeleteHook`, as deletion itself can't be prevented.
+   * @param {AbstractApiModule} mod Module owning the document
+   * @param {Object} ogDoc The deleted document
+   * @return {Promise}
+   */
+  async softDelete (mod, ogDoc) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const entry = { collection: mod.collectionName, docId: ogDoc._id.toString(), deletedAt: new Date().toISOString(), doc: ogDoc }
+    const deletedBy = this.getActor()
+    if (deletedBy) entry.deletedBy = deletedBy
+    await mongodb.insert(TRASH_COLLECTION, entry)
+  }
+
+  /**
+   * Retrieves the most recent trash entry for a soft-deleted document
+   * @param {String} collection Collection name
+   * @param {String} _id _id of the document
+   * @return {Promise<Object>}
+   */
+  async getDeleted (collection, _id) {
+    const mod = this.registeredModules.find(m => m.collectionName === collection && this.moduleOptions.get(m)?.softDelete)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [entry] = mod
+      ? await mongodb.find(TRASH_COLLECTION, { collection, docId: String(_id) }, { sort: { deletedAt: -1 }, limit: 1 })
+      : []
+    if (!entry) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'deleted document', id: String(_id) })
+    }
+    return entry
+  }
+
+  /**
+   * Restores a soft-deleted document from the trash collection, under its original _id
+   * @param {String} collection Collection name
+   * @param {String} _id _id of the document
+   * @param {String} [updatedBy] User restoring the document
+   * @return {Promise}
+   */
+  async restoreDeleted (collection, _id, updatedBy) {
+    const entry = await this.getDeleted(collection, _id)
+    const { doc } = entry
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.insert(collection, doc, { preserveId: true })
+    await mongodb.delete(TRASH_COLLECTION, { _id: entry._id })
+    await this.updateCourseTimestamp({ _courseId: doc._courseId, _parentId: doc._parentId, updatedBy })
+    this.emit(this.changedHook, { action: 'restore', collection, ids: [doc._id], courseId: doc._courseId, doc })
+  }
+
+  /**
+   * Handles restoring a soft-deleted document. Documents the user couldn't access before deletion are
+   * reported as not found.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async restoreDeletedHandler (req, res, next) {
+    try {
+      const { collection, _id } = req.params
+      const { doc } = await this.getDeleted(collection, _id)
+      if (!await this.canAccessDoc(req, collection, doc)) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'deleted document', id: String(_id) })
+      }
+      await this.restoreDeleted(collection, _id, req.auth?.user?._id.toString())
+      res.sendStatus(204)
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Permanently removes soft-deleted documents older than the configured retention period
+   * @return {Promise<Object>} Map of collection name to number of documents purged
+   */
+  async purgeDeleted () {
+    const purged = {}
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const trash = mongodb.getCollection(TRASH_COLLECTION)
+      const cutoff = new Date(Date.now() - this.getConfig('softDeleteRetention')).toISOString()
+      for (const mod of this.registeredModules) {
+        if (!mod.collectionName || !this.moduleOptions.get(mod)?.softDelete) continue
+        const { deletedCount } = await trash.deleteMany({ collection: mod.collectionName, deletedAt: { $lt: cutoff } })
+        purged[mod.collectionName] = deletedCount
+      }
+    } catch (e) {
+      this.log('error', `failed to purge soft-deleted documents, ${e}`)
+    }
+    return purged
+  }
+
+  /**
+   * Fills in the required authored fields of documents which are missing them (see `buildBackfillUpdate`),
+   * using `backfillFallbackUser` (or the system actor) as the creator. Safe to run more than once. Only the
+   * fields each module was registered with are filled in, under their mapped names; modules with neither
+   * timestamps nor authorship are skipped.
+   * @param {Object} options
+   * @param {Boolean} options.dryRun Only report the documents missing fields
+   * @return {Promise<Object>} `{ dryRun, fallbackUser, collections }`, where collections maps each collection name to the
+   * number of documents `missing` each (stored) field and the number of documents `modified`
+   */
+  async backfillAuthored ({ dryRun = false } = {}) {
+    const fallbackUser = this.getConfig('backfillFallbackUser') ?? this.getConfig('systemActorId')
+    if (!fallbackUser) {
+      this.log('warn', 'no backfillFallbackUser or systemActorId configured, documents missing createdBy will be left alone')
+    }
+    const mongodb = await this.app.waitForModule('mongodb')
+    const collections = {}
+    for (const mod of this.registeredModules) {
+      const name = mod.collectionName
+      const { timestamps, authorship, fields } = this.getModuleOptions(mod)
+      if (!name || collections[name] || (!timestamps && !authorship)) continue
+      const collection = mongodb.getCollection(name)
+      const missing = {}
+      const checked = [...(timestamps ? ['createdAt'] : []), ...(authorship ? ['createdBy'] : []), ...(timestamps ? ['updatedAt'] : [])]
+      for (const field of checked.map(f => fields[f])) {
+        missing[field] = await collection.countDocuments({ [field]: null })
+      }
+      const backfill = buildBackfillUpdate(fallbackUser, { timestamps, authorship, fields })
+      let modified = 0
+      if (!dryRun && backfill && Object.values(missing).some(Boolean)) {
+        ({ modifiedCount: modified } = await collection.updateMany(backfill.query, withObjectIds(backfill.update)))
+        this.log('info', `backfilled authored fields of ${modified} ${name} documents`)
+      }
+      collections[name] = { missing, modified }
+    }
+    return { dryRun, fallbackUser, collections }
+  }
+
+  /**
+   * Returns the authored indexes for a module's options: those on disabled fields are left out, and mapped
+   * fields renamed
+   * @param {Object} options The module's (resolved) options
+   * @return {Array<Object>}
+   */
+  getAuthoredIndexes ({ timestamps, authorship, fields }) {
+    const enabled = f => f.startsWith('_') || (f.endsWith('At') ? timestamps : authorship)
+    return AUTHORED_INDEXES
+      .filter(key => Object.keys(key).every(enabled))
+      .map(key => Object.fromEntries(Object.entries(key).map(([f, order]) => [fields[f] ?? f, order])))
+  }
+
+  /**
+   * Creates any missing authored indexes on a collection
+   * @param {String} collectionName
+   * @param {Array<Object>} [indexes] The index keys to create
+   * @return {Promise}
+   */
+  async ensureIndexes (collectionName, indexes = AUTHORED_INDEXES) {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      for (const key of indexes) await mongodb.setIndex(collectionName, key)
+    } catch (e) {
+      this.log('warn', `failed to create authored indexes on ${collectionName}, ${e}`)
+    }
+  }
+
+  /**
+   * Reports on the indexes of each registered collection: the authored indexes which are missing,
+   * and the indexes which haven't been used since the server (or index) was started
+   * @return {Promise<Object>} Map of collection name to `{ missing, unused }`, where missing is a list of index keys and
+   * unused a list of `{ name, key, since }`
+   */
+  async getIndexDiagnostics () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const diagnostics = {}
+    for (const mod of this.registeredModules) {
+      const name = mod.collectionName
+      if (!name || diagnostics[name]) continue
+      const collection = mongodb.getCollection(name)
+      const existing = (await collection.indexes()).map(i => JSON.stringify(i.key))
+      const stats = await collection.aggregate([{ $indexStats: {} }]).toArray()
+      diagnostics[name] = {
+        missing: this.getAuthoredIndexes(this.getModuleOptions(mod)).filter(key => !existing.includes(JSON.stringify(key))),
+        unused: stats
+          .filter(s => s.name !== '_id_' && !Number(s.accesses?.ops))
+          .map(({ name, key, accesses }) => ({ name, key, since: accesses?.since }))
+      }
+    }
+    return diagnostics
+  }
+
+  /**
+   * Handles backfilling missing authored fields
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async backfillHandler (req, res, next) {
+    try {
+      res.json(await this.backfillAuthored({ dryRun: req.body?.dryRun === true }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Returns the options a module was registered with (or the defaults for unregistered modules)
+   * @param {AbstractApiModule} [mod]
+   * @return {Object}
+   */
+  getModuleOptions (mod) {
+    return this.moduleOptions.get(mod) ?? resolveModuleOptions()
+  }
+
+  /**
+   * Returns the names of the fields holding the creator and last editor of a module's documents
+   * @param {AbstractApiModule} mod
+   * @return {Object} `{ createdBy, updatedBy }`, which are undefined when the module was registered without authorship
+   */
+  getAuthorshipFields (mod) {
+    const { authorship, fields } = this.getModuleOptions(mod)
+    return authorship ? { createdBy: fields.createdBy, updatedBy: fields.updatedBy } : {}
   }
 
   /**
    * Adds schema extensions
    */
   async registerSchemas () {
-    const jsonschema = await this.app.waitForModule('jsonschema')
-    this.registeredModules.forEach(mod => {
+    for (const mod of this.registeredModules) {
       try {
-        jsonschema.extendSchema(mod.schemaName, this.schemaName)
+        await this.extendModuleSchema(mod, this.getModuleOptions(mod))
       } catch (e) {}
-    })
+    }
+  }
+
+  /**
+   * Extends a module's schema with the authored schema. Modules registered without some of the authored fields,
+   * or with them renamed, are given their own variant of the extension (see `buildSchemaVariant`), which is written
+   * to the temp directory and registered as `authored-<module name>`.
+   * @param {AbstractApiModule} mod
+   * @param {Object} options The module's (resolved) options
+   * @return {Promise}
+   */
+  async extendModuleSchema (mod, { timestamps, authorship, fields }) {
+    const jsonschema = await this.app.waitForModule('jsonschema')
+    const isDefault = timestamps && authorship && AUTHORED_FIELDS.every(f => fields[f] === f)
+    if (isDefault) {
+      return jsonschema.extendSchema(mod.schemaName, this.schemaName)
+    }
+    const schemaName = `${this.schemaName}-${mod.name}`
+    const schema = JSON.parse(await fs.readFile(new URL('../schema/authored.schema.json', import.meta.url)))
+    const filePath = path.join(this.app.getConfig('tempDir'), this.schemaName, `${schemaName}.schema.json`)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, JSON.stringify(buildSchemaVariant(schema, schemaName, { timestamps, authorship, fields }), null, 2))
+    await jsonschema.registerSchema(filePath, { replace: true })
+    jsonschema.extendSchema(mod.schemaName, schemaName)
   }
 
   /**
    * Function to update author on data change
    * @param {external:ExpressRequest} req
+   * @param {AbstractApiModule} [mod] Module handling the request
    * @return {Promise} Resolves with the modified data
    */
-  async updateAuthor (req) {
+  async updateAuthor (req, mod) {
     if (!req.apiData.modifying) return
-    if (req.auth?.user) req.apiData.data.updatedBy = req.auth.user._id.toString()
-    if (req.method === 'POST' && !req.apiData.data.createdBy) {
-      req.apiData.data.createdBy = req.auth.user._id.toString()
+    const { timestamps, authorship, fields } = this.getModuleOptions(mod)
+    // ownership history and contributors are only written by this module, and co-owners of existing
+    // documents are managed through the owners routes
+    delete req.apiData.data.ownershipHistory
+    delete req.apiData.data.contributors
+    delete req.apiData.data.contributorActivity
+    // the import flag is for server-side use only, API clients import using the import:authored scope
+    delete req.apiData.data[IMPORT_FLAG]
+    // locks are managed through the lock routes
+    LOCK_FIELDS.forEach(f => delete req.apiData.data[f])
+    if (req.method !== 'POST') delete req.apiData.data.owners
+    // import mode only ever applies to the request's own data, not to anything else inserted while handling it
+    req.apiData.importing = req.method === 'POST' && this.hasScope(req, 'import:authored')
+    if (timestamps && (req.method === 'PUT' || req.method === 'PATCH')) {
+      req.apiData.expectedVersion = this.getExpectedVersion(req, fields.updatedAt)
+      // the expected version only applies to the document being requested, not to other documents written meanwhile
+      req.apiData.expectedVersionId = req.apiData.query?._id?.toString()
+      // any updatedAt sent is the version the client loaded, the new value is stamped on update
+      delete req.apiData.data[fields.updatedAt]
+    }
+    if (!authorship) return
+    const { data, importing } = req.apiData
+    if (req.auth?.user && !(importing && data[fields.updatedBy])) {
+      data[fields.updatedBy] = req.auth.user._id.toString()
+    }
+    if (req.method === 'POST' && !data[fields.createdBy]) {
+      data[fields.createdBy] = req.auth.user._id.toString()
       return
     }
-    if (!req.apiData.data.createdBy) return
+    // unknown imported authors are mapped to the fallback user on insert
+    if (!data[fields.createdBy] || importing) return
+    if (!await this.userExists(data[fields.createdBy])) {
+      throw this.app.errors.INVALID_CREATED_BY.setData({ id: data[fields.createdBy] })
+    }
+  }
+
+  /**
+   * Checks whether a user exists (cached)
+   * @param {String} userId
+   * @return {Promise<Boolean>}
+   */
+  async userExists (userId) {
     const [user] = await this.userCache.get(
-      { _id: req.apiData.data.createdBy },
+      { _id: userId },
       { collectionName: 'users' },
       { projection: { _id: 1 } }
     )
-    if (!user) {
-      throw this.app.errors.INVALID_CREATED_BY.setData({ id: req.apiData.data.createdBy })
-    }
+    return !!user
   }
 
   /**
    * Function to update authored timestamp on data change
    * @param {String} action
    * @param {Object} data The data being written (mutated in place)
-   * @param {String} [courseId] Course to bump, when not present on `data`
+   * @param {Object} [options]
+   * @param {String} [options.courseId] Course to bump, when not present on `data`
+   * @param {String} [options.parentId] Parent to bump (see `propagateUpdates`), when not present on `data`
+   * @param {Object} [options.options] Options of the module being written to (see `registerModule`)
+   * @return {Promise}
+   */
+  async updateTimestamps (action, data, { courseId = data._courseId, parentId = data._parentId, options = resolveModuleOptions() } = {}) {
+    const { timestamps, authorship, courseBump, fields } = options
+    const importing = action === 'insert' && this.isImport(data)
+    delete data[IMPORT_FLAG]
+    if (importing && authorship) await this.mapImportedAuthors(data, [fields.createdBy, fields.updatedBy])
+    const actor = this.getActor()
+    if (actor && authorship) {
+      // writes made outside of requestHook (e.g. by other modules) won't have been attributed yet
+      if (!data[fields.updatedBy]) data[fields.updatedBy] = actor
+      if (action === 'insert' && !data[fields.createdBy]) data[fields.createdBy] = actor
+    }
+    if (timestamps) {
+      if (!importing || !data[fields.updatedAt]) data[fields.updatedAt] = new Date().toISOString()
+      if (action === 'insert' && (!importing || !data[fields.createdAt])) data[fields.createdAt] = data[fields.updatedAt]
+      if (!importing || !data.editedAt) data.editedAt = data[fields.updatedAt]
+    }
+    if (courseBump) {
+      await this.updateCourseTimestamp({ _courseId: courseId, _parentId: parentId, updatedBy: authorship ? data[fields.updatedBy] : actor })
+    }
+  }
+
+  /**
+   * Returns the version of a document a client expects to be updating, from (in order of precedence) an If-Match
+   * header, an If-Unmodified-Since header, or the updatedAt value sent with the update
+   * @param {external:ExpressRequest} req
+   * @param {String} [updatedAtField=updatedAt] Name of the field holding the document's updatedAt
+   * @return {Object|undefined} The expected version (see `isVersionConflict`)
+   */
+  getExpectedVersion (req, updatedAtField = 'updatedAt') {
+    const ifMatch = req.headers?.['if-match']
+    if (ifMatch) return { etags: ifMatch.split(',').map(t => t.trim()) }
+    const unmodifiedSince = Date.parse(req.headers?.['if-unmodified-since'])
+    if (!isNaN(unmodifiedSince)) return { unmodifiedSince }
+    if (req.apiData.data[updatedAtField]) return { updatedAt: req.apiData.data[updatedAtField] }
+  }
+
+  /**
+   * Rejects an update to the requested document when it has been modified since the version the client expects
+   * to be updating. Only the document's own edits count (see `editedAt`), so that changes to content within a
+   * course don't conflict with updates to the course itself.
+   * @param {Object} ogDoc The document being updated
+   * @param {String} [updatedAtField=updatedAt] Name of the field holding the document's updatedAt
+   * @param {String} [updatedByField=updatedBy] Name of the field holding the document's updatedBy
+   */
+  checkUpdateConflict (ogDoc, updatedAtField = 'updatedAt', updatedByField = 'updatedBy') {
+    const { expectedVersion: expected, expectedVersionId } = this.requestContext.getStore()?.req.apiData ?? {}
+    if (!expected || !expectedVersionId || ogDoc._id?.toString() !== expectedVersionId) return
+    // documents written before editedAt was introduced fall back to updatedAt
+    if (!isVersionConflict(expected, ogDoc.editedAt ?? ogDoc[updatedAtField])) return
+    throw this.app.errors.UPDATE_CONFLICT.setData({
+      id: ogDoc._id?.toString(),
+      updatedAt: ogDoc[updatedAtField],
+      updatedBy: ogDoc[updatedByField],
+      doc: ogDoc
+    })
+  }
+
+  /**
+   * Whether data being inserted should keep its supplied authored metadata, either because server-side
+   * code has set the import flag on it, or because it's the data of a request which `updateAuthor` put
+   * into import mode (i.e. one with the import:authored scope)
+   * @param {Object} data The data being inserted
+   * @return {Boolean}
+   */
+  isImport (data) {
+    const apiData = this.requestContext.getStore()?.req.apiData
+    return data[IMPORT_FLAG] === true || (apiData?.importing === true && apiData.data === data)
+  }
+
+  /**
+   * Replaces imported createdBy/updatedBy values which don't match a user with `importFallbackUser`
+   * (or the importing user when no fallback is configured)
+   * @param {Object} data The data being imported (mutated in place)
+   * @param {Array<String>} [authorFields] Names of the createdBy and updatedBy fields
    * @return {Promise}
    */
-  async updateTimestamps (action, data, courseId = data._courseId) {
-    data.updatedAt = new Date().toISOString()
-    if (action === 'insert') data.createdAt = data.updatedAt
-    await this.updateCourseTimestamp({ _courseId: courseId, updatedBy: data.updatedBy })
+  async mapImportedAuthors (data, authorFields = ['createdBy', 'updatedBy']) {
+    const fallback = this.getConfig('importFallbackUser') ?? this.getActor()
+    for (const field of authorFields) {
+      if (!data[field] || await this.userExists(data[field])) continue
+      this.log('debug', `unknown imported ${field} ${data[field]}, using ${fallback}`)
+      if (fallback) data[field] = fallback
+      else delete data[field]
+    }
+  }
+
+  /**
+   * Returns the _id of the user responsible for the current write: the authenticated user of the
+   * request being handled, or the configured system actor for server-initiated writes
+   * @return {String|undefined}
+   */
+  getActor () {
+    const userId = this.requestContext.getStore()?.req.auth?.user?._id
+    return userId?.toString() ?? this.getConfig('systemActorId')
   }
 
+  /**
+   * Bumps the timestamp of a course, and of every content item between the changed data and the course
+   * when `propagateUpdates` is enabled. When `courseTimestampDelay` is set, bumps to the same course are
+   * coalesced and written once the delay has passed.
+   * @param {Object} data
+   * @param {String} data._courseId Course to bump
+   * @param {String} [data._parentId] Parent of the changed data
+   * @param {String} [data.updatedBy] User responsible for the change (defaults to the current actor)
+   * @return {Promise}
+   */
   async updateCourseTimestamp (data) {
     if (!data._courseId) return
+    const key = data._courseId.toString()
+    const pending = this.pendingCourseTimestamps.get(key) ?? { _courseId: data._courseId, parentIds: new Map(), editors: new Map() }
+    const updatedBy = data.updatedBy ?? this.getActor()
+    pending.updatedAt = new Date().toISOString()
+    if (updatedBy) {
+      pending.updatedBy = updatedBy
+      pending.editors.set(updatedBy, { edits: (pending.editors.get(updatedBy)?.edits ?? 0) + 1, lastEditedAt: pending.updatedAt })
+    }
+    if (data._parentId) pending.parentIds.set(data._parentId.toString(), data._parentId)
+
+    const delay = this.getConfig('courseTimestampDelay')
+    if (!delay) return this.writeCourseTimestamp(pending)
+    if (!this.pendingCourseTimestamps.has(key)) {
+      this.pendingCourseTimestamps.set(key, pending)
+      setTimeout(() => this.flushCourseTimestamps(key), delay).unref()
+    }
+  }
+
+  /**
+   * Writes any pending course timestamp bumps
+   * @param {String} [courseId] Only flush this course
+   * @return {Promise}
+   */
+  async flushCourseTimestamps (courseId) {
+    const keys = courseId ? [courseId.toString()] : [...this.pendingCourseTimestamps.keys()]
+    await Promise.all(keys.map(async key => {
+      const pending = this.pendingCourseTimestamps.get(key)
+      if (!pending) return
+      this.pendingCourseTimestamps.delete(key)
+      try {
+        await this.writeCourseTimestamp(pending)
+      } catch (e) {
+        this.log('error', `failed to update timestamp of course ${key}, ${e}`)
+      }
+    }))
+  }
+
+  /**
+   * Writes a (possibly coalesced) course timestamp bump in a single operation
+   * @param {Object} pending
+   * @param {String} pending._courseId Course to bump
+   * @param {String} pending.updatedAt Time of the latest change
+   * @param {String} [pending.updatedBy] User responsible for the latest change
+   * @param {Map<String,String>} pending.parentIds Parents of the changed data
+   * @param {Map<String,Object>} pending.editors Edit count and last edit time of each contributing user
+   * @return {Promise}
+   */
+  async writeCourseTimestamp ({ _courseId, updatedAt, updatedBy, parentIds, editors }) {
     const [course] = await this.courseCache.get(
-      { _type: 'course', _courseId: data._courseId },
+      { _type: 'course', _courseId },
       { collectionName: 'content' },
       { projection: { _id: 1 } }
     )
     if (!course) return
     const mongodb = await this.app.waitForModule('mongodb')
-    const $set = { updatedAt: new Date().toISOString() }
-    if (data.updatedBy) $set.updatedBy = data.updatedBy
-    await mongodb.update('content', { _id: course._id }, { $set })
+    const $set = { updatedAt }
+    if (updatedBy) $set.updatedBy = updatedBy
+    const update = { $set: { ...$set } }
+    // roll the contributors up to the course
+    if (this.getConfig('trackContributors') && editors.size) {
+      const contributors = []
+      editors.forEach(({ edits, lastEditedAt }, userId) => {
+        const { $set: contributorSet, $inc } = buildContributorUpdate(userId, lastEditedAt, edits)
+        contributors.push(userId)
+        Object.assign(update.$set, contributorSet)
+        update.$inc = { ...update.$inc, ...$inc }
+      })
+      update.$addToSet = { contributors: contributors.length === 1 ? contributors[0] : { $each: contributors } }
+    }
+    const ancestors = new Map()
+    if (this.getConfig('propagateUpdates')) {
+      for (const parentId of parentIds.values()) {
+        for (const id of await this.getContentAncestors(parentId)) {
+          if (id.toString() !== course._id.toString()) ancestors.set(id.toString(), id)
+        }
+      }
+    }
+    if (!ancestors.size) {
+      await mongodb.update('content', { _id: course._id }, update)
+    } else {
+      // the course is written separately as it also carries the contributor roll-up
+      await mongodb.getCollection('content').bulkWrite(withObjectIds([
+        { updateMany: { filter: { _id: { $in: [...ancestors.values()] } }, update: { $set } } },
+        { updateOne: { filter: { _id: course._id }, update } }
+      ]), { ordered: false })
+    }
+    this.emit(this.courseTouchedHook, {
+      actor: updatedBy,
+      action: 'touch',
+      collection: 'content',
+      ids: [course._id, ...ancestors.values()],
+      courseId: _courseId,
+      updatedAt
+    })
   }
 
   /**
-   * Refuses deletion of a user who still owns authored content, preventing orphaned documents.
-   * Tapped on the users module's `preDeleteHook`.
-   * @param {Object} user The user document about to be deleted
-   * @return {Promise}
+   * Returns the _ids of a content item's ancestors, walking up the `_parentId` chain until the course is reached
+   * @param {String} parentId _id of the item's parent
+   * @return {Promise<Array<ObjectId>>} Nearest ancestor first
    */
-  async blockOwnerDelete (user) {
-    const counts = await this.getOwnedCounts(user._id)
-    const total = Object.values(counts).reduce((sum, n) => sum + n, 0)
-    if (total > 0) {
-      throw this.app.errors.USER_OWNS_CONTENT.setData({ _id: user._id.toString(), total, counts })
+  async getContentAncestors (parentId) {
+    const ids = []
+    const seen = new Set()
+    while (parentId && !seen.has(parentId.toString())) {
+      seen.add(parentId.toString())
+      const [parent] = await this.parentCache.get(
+        { _id: parentId },
+        { collectionName: 'content' },
+        { projection: { _parentId: 1, _type: 1 } }
+      )
+      if (!parent) break
+      ids.push(parent._id)
+      if (parent._type === 'course') break
+      parentId = parent._parentId
     }
+    return ids
   }
 
   /**
-   * Counts the documents owned (via `createdBy`) by a user in every registered collection.
-   * @param {String} userId
-   * @return {Promise<Object>} Map of collection name to owned-document count
+   * Records the user who last modified a document as one of its contributors. A course's contributors are
+   * also rolled up from the whole course by `updateCourseTimestamp`. Documents of modules registered without
+   * authorship are skipped.
+   * @param {AbstractApiModule} mod Module owning the document
+   * @param {Object} doc The written document
+   * @return {Promise}
    */
-  async getOwnedCounts (userId) {
+  async recordContributor (mod, doc) {
+    const { timestamps, authorship, fields } = this.getModuleOptions(mod)
+    const updatedBy = authorship && doc[fields.updatedBy]
+    if (!updatedBy) return
+    const updatedAt = timestamps && doc[fields.updatedAt] ? new Date(doc[fields.updatedAt]) : new Date()
     const mongodb = await this.app.waitForModule('mongodb')
-    const createdBy = userId.toString()
-    const counts = {}
-    for (const mod of this.registeredModules) {
-      if (mod.collectionName) counts[mod.collectionName] = await mongodb.count(mod.collectionName, { createdBy })
-    }
-    return counts
+    await mongodb.update(mod.collectionName, { _id: doc._id }, buildContributorUpdate(updatedBy, updatedAt.toISOString()))
   }
 
   /**
-   * Lists the courses and assets owned (via `createdBy`) by a user, for a transfer preview.
-   * @param {String} userId
-   * @return {Promise<Object>} `{ courses: [{_id,title}], assets: [{_id,title}] }`
+   * Returns the contributors to a course, most active first
+   * @param {String} courseId _id of the course
+   * @return {Promise<Array>} Contributors as `{ _id, edits, lastEditedAt }`
    */
-  async getOwnedSummary (userId) {
+  async getContributors (courseId) {
     const mongodb = await this.app.waitForModule('mongodb')
-    const createdBy = userId.toString()
-    const [courses, assets] = await Promise.all([
-      mongodb.find('content', { createdBy, _type: 'course' }, { projection: { title: 1, displayTitle: 1 } }),
-      mongodb.find('assets', { createdBy }, { projection: { title: 1 } })
-    ])
-    return {
-      courses: courses.map(c => ({ _id: c._id, title: c.title || c.displayTitle || String(c._id) })),
-      assets: assets.map(a => ({ _id: a._id, title: a.title || String(a._id) }))
+    const [course] = await mongodb.find('content', { _id: courseId, _type: 'course' }, { projection: { contributors: 1, contributorActivity: 1 } })
+    if (!course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: String(courseId) })
     }
+    return (course.contributors ?? [])
+      .map(_id => ({ _id, edits: 0, ...course.contributorActivity?.[_id] }))
+      .sort((a, b) => b.edits - a.edits)
   }
 
   /**
-   * Reassigns ownership of every document created by one user to another, across all registered
-   * collections. Only `createdBy` is changed; sharing grants and timestamps are left untouched.
-   * @param {String} fromUserId The current owner
-   * @param {String} toUserId The new owner
-   * @return {Promise<Object>} Map of collection name to number of documents reassigned
+   * Handles listing a course's contributors. Courses the user can't access are reported as not found.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
    */
-  async transferOwnership (fromUserId, toUserId) {
+  async getContributorsHandler (req, res, next) {
+    try {
+      const { courseId } = req.params
+      const mongodb = await this.app.waitForModule('mongodb')
+      const [course] = await mongodb.find('content', { _id: courseId, _type: 'course' })
+      if (course && !await this.canAccessDoc(req, 'content', course)) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: String(courseId) })
+      }
+      res.json(await this.getContributors(courseId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles the content of a user who is about to be deleted, according to the `ownerDeletePolicy`
+   * config: `block` refuses the deletion, `reassign` transfers the content to `ownerDeleteFallbackUser`,
+   * and `lastEditor` transfers each document to the user who last modified it (then to the fallback user,
+   * if any). A `transferTo` user specified on the delete request takes precedence over the policy.
+   * Deletion is refused (before anything is changed) if the policy can't rehome all of the content, and again
+   * if any content is still owned afterwards, preventing orphaned documents.
+   * Tapped on the users module's `preDeleteHook`.
+   * @param {Object} user The user document about to be deleted
+   * @return {Promise}
+   */
+  async blockOwnerDelete (user) {
+    const userId = user._id.toString()
+    const getTotal = counts => Object.values(counts).reduce((sum, n) => sum + n, 0)
+    // anything still created or co-owned by the user once they've been handled would be orphaned
+    const checkNothingOwned = async () => {
+      const counts = await this.getOwnedCounts(userId)
+      const total = getTotal(counts)
+      if (total > 0) {
+        throw this.app.errors.USER_OWNS_CONTENT.setData({ _id: userId, total, counts })
+      }
+    }
+    // co-owned documents pass to a remaining co-owner, so only solely-owned documents need handling
+    const counts = await this.getOwnedCounts(userId, { sole: true })
+    if (getTotal(counts) === 0) {
+      await this.releaseCoOwnership(userId)
+      return checkNothingOwned()
+    }
+
+    const req = this.requestContext.getStore()?.req
+    const transferTo = req?.body?.transferTo ?? req?.query?.transferTo
+    const policy = transferTo ? 'reassign' : this.getConfig('ownerDeletePolicy')
+    const fallback = transferTo ?? this.getConfig('ownerDeleteFallbackUser')
+
+    if (policy === 'block' || (policy === 'reassign' && !fallback)) {
+      throw this.app.errors.USER_OWNS_CONTENT.setData({ _id: userId, total: getTotal(counts), counts })
+    }
+    if (fallback) {
+      if (String(fallback) === userId) {
+        throw this.app.errors.INVALID_TRANSFER_TARGET.setData({ _id: userId })
+      }
+      await this.checkTransferUser(fallback)
+    }
+    let editors
+    if (policy === 'lastEditor') {
+      editors = await this.getLastEditors(userId)
+      if (!fallback) {
+        // without a fallback user, anything not last edited by an existing user would be left behind
+        const filters = {}
+        for (const mod of this.registeredModules) {
+          const { updatedBy } = this.getAuthorshipFields(mod)
+          if (mod.collectionName && updatedBy) filters[mod.collectionName] = { [updatedBy]: { $nin: editors } }
+        }
+        const leftover = await this.getOwnedCounts(userId, { sole: true, filters })
+        const total = getTotal(leftover)
+        if (total > 0) {
+          throw this.app.errors.USER_OWNS_CONTENT.setData({ _id: userId, total, counts: leftover })
+        }
+      }
+    }
+    await this.releaseCoOwnership(userId)
+    if (editors) {
+      await this.reassignToLastEditors(userId, editors)
+    }
+    if (fallback) {
+      await this.transferOwnership(userId, fallback, { reason: 'userDelete' })
+    }
+    await checkNothingOwned()
+  }
+
+  /**
+   * Lists the existing users (other than the user themselves) who last modified documents created by a user
+   * @param {String} userId
+   * @return {Promise<Array<String>>}
+   */
+  async getLastEditors (userId) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const editors = new Set()
+    for (const mod of this.registeredModules) {
+      const { createdBy, updatedBy } = this.getAuthorshipFields(mod)
+      if (!mod.collectionName || !createdBy) continue
+      const ids = await mongodb.getCollection(mod.collectionName).distinct(updatedBy, withObjectIds({ [createdBy]: userId }))
+      ids.forEach(id => id && editors.add(String(id)))
+    }
+    editors.delete(userId)
+    const existing = []
+    for (const editor of editors) {
+      if (await this.userExists(editor)) existing.push(editor)
+    }
+    return existing
+  }
+
+  /**
+   * Transfers each document owned by a user to the (existing) user who last modified it
+   * @param {String} userId
+   * @param {Array<String>} [editors] The users to transfer to, as returned by `getLastEditors`
+   * @return {Promise}
+   */
+  async reassignToLastEditors (userId, editors) {
+    editors ??= await this.getLastEditors(userId)
+    const collections = this.registeredModules
+      .map(m => [m.collectionName, this.getAuthorshipFields(m).updatedBy])
+      .filter(([name, updatedBy]) => name && updatedBy)
+    for (const editor of editors) {
+      const filters = Object.fromEntries(collections.map(([name, updatedBy]) => [name, { [updatedBy]: editor }]))
+      await this.transferOwnership(userId, editor, { filters, collections: collections.map(([name]) => name), reason: 'userDelete' })
+    }
+  }
+
+  /**
+   * Removes a user from every document they co-own. Documents created by the user which have
+   * co-owners are passed to their first co-owner.
+   * @param {String} userId
+   * @return {Promise}
+   */
+  async releaseCoOwnership (userId) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const id = userId.toString()
+    const actor = this.getActor()
+    const reason = 'userDelete'
+    for (const mod of this.registeredModules) {
+      if (!mod.collectionName) continue
+      const collection = mongodb.getCollection(mod.collectionName)
+      const { createdBy } = this.getAuthorshipFields(mod)
+      const newOwner = { $arrayElemAt: ['$owners', 0] }
+      if (createdBy) {
+        await collection.updateMany(withObjectIds({ [createdBy]: id, 'owners.0': { $exists: true } }), withObjectIds([{
+          $set: {
+            [createdBy]: newOwner,
+            owners: { $slice: ['$owners', 1, { $size: '$owners' }] },
+            ownershipHistory: appendOwnershipEntry(buildOwnershipEntry({ action: 'promote', previousOwner: id, newOwner, actor, reason }))
+          }
+        }]))
+      }
+      await collection.updateMany(withObjectIds({ owners: id }), withObjectIds({
+        $pull: { owners: id },
+        $push: { ownershipHistory: buildOwnershipEntry({ action: 'removeOwner', previousOwner: id, actor, reason }) }
+      }))
+    }
+  }
+
+  /**
+   * Counts the documents owned by a user (via `createdBy` or `owners`) in every registered collection. Documents
+   * of modules registered without authorship can only be co-owned.
+   * @param {String} userId
+   * @param {Object} options
+   * @param {Boolean} [options.sole=false] Only count documents created by the user which have no co-owners
+   * @param {Object} [options.filters] Extra match query per collection, keyed by collection name
+   * @param {Array<String>} [options.collections] Limits the counts to these collections
+   * @return {Promise<Object>} Map of collection name to owned-document count
+   */
+  async getOwnedCounts (userId, { sole = false, filters = {}, collections } = {}) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const id = userId.toString()
+    const counts = {}
+    for (const mod of this.registeredModules) {
+      const name = mod.collectionName
+      if (!name || (collections && !collections.includes(name))) continue
+      const { createdBy } = this.getAuthorshipFields(mod)
+      let query
+      if (sole) query = createdBy && { [createdBy]: id, 'owners.0': { $exists: false } }
+      else query = createdBy ? { $or: [{ [createdBy]: id }, { owners: id }] } : { owners: id }
+      counts[name] = query ? await mongodb.count(name, filters[name] ? { $and: [filters[name], query] } : query) : 0
+    }
+    return counts
+  }
+
+  /**
+   * Lists the courses and assets owned (via `createdBy`) by a user, for a transfer preview.
+   * @param {String} userId
+   * @param {Object} options
+   * @param {Object} [options.filters] Extra match query for the content and assets collections
+   * @return {Promise<Object>} `{ courses: [{_id,title}], assets: [{_id,title}] }`
+   */
+  async getOwnedSummary (userId, { filters = {} } = {}) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const createdBy = userId.toString()
+    const [courses, assets] = await Promise.all([
+      mongodb.find('content', { ...filters.content, createdBy, _type: 'course' }, { projection: { title: 1, displayTitle: 1 } }),
+      mongodb.find('assets', { ...filters.assets, createdBy }, { projection: { title: 1 } })
+    ])
+    return {
+      courses: courses.map(c => ({ _id: c._id, title: c.title || c.displayTitle || String(c._id) })),
+      assets: assets.map(a => ({ _id: a._id, title: a.title || String(a._id) }))
+    }
+  }
+
+  /**
+   * Works out what a course transfer covers: the course and its content (matched by `_courseId`), and the assets
+   * referenced anywhere in that content. Assets also referenced by the content of other courses are shared, so are
+   * left out. References aren't indexed, so finding shared assets means reading the content of every other course.
+   * @param {String} courseId _id of the course
+   * @return {Promise<Object>} `{ course, owner, filters, sharedAssetIds }`, where filters are the content and
+   * assets match queries to transfer with (see `transferOwnership`)
+   */
+  async getCourseTransferScope (courseId) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [course] = await mongodb.find('content', { _id: courseId, _type: 'course' })
+    if (!course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: String(courseId) })
+    }
+    if (!course.createdBy) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course owner', id: String(courseId) })
+    }
+    const referenced = [...collectObjectIds(await mongodb.find('content', { _courseId: course._id }))]
+    const assets = referenced.length ? await mongodb.find('assets', { _id: { $in: referenced } }, { projection: { _id: 1 } }) : []
+    const assetIds = new Set(assets.map(a => a._id.toString()))
+    const shared = new Set()
+    if (assetIds.size) {
+      for await (const doc of mongodb.getCollection('content').find({ _courseId: { $ne: course._id } })) {
+        for (const id of collectObjectIds(doc)) {
+          if (assetIds.has(id)) shared.add(id)
+        }
+        if (shared.size === assetIds.size) break
+      }
+    }
+    return {
+      course,
+      owner: course.createdBy.toString(),
+      filters: {
+        content: { _courseId: course._id },
+        assets: { _id: { $in: assets.map(a => a._id).filter(id => !shared.has(id.toString())) } }
+      },
+      sharedAssetIds: [...shared]
+    }
+  }
+
+  /**
+   * Previews a course transfer (see `getCourseTransferScope`): the course and unshared assets owned by the
+   * course's owner, and the number of documents which would move
+   * @param {String} courseId _id of the course
+   * @return {Promise<Object>} `{ courseId, owner, courses, assets, counts, sharedAssetIds }`
+   */
+  async getCourseTransferPreview (courseId) {
+    const { course, owner, filters, sharedAssetIds } = await this.getCourseTransferScope(courseId)
+    const [summary, counts] = await Promise.all([
+      this.getOwnedSummary(owner, { filters }),
+      this.getOwnedCounts(owner, { filters, collections: Object.keys(filters) })
+    ])
+    return { courseId: course._id, owner, ...summary, counts, sharedAssetIds }
+  }
+
+  /**
+   * Transfers the documents owned by a course's owner within the course (see `getCourseTransferScope`) to another user
+   * @param {String} courseId _id of the course
+   * @param {String} toUserId The new owner
+   * @param {Object} options
+   * @param {Boolean} [options.dryRun=false] Only report which documents would move
+   * @param {String} [options.reason] Why the transfer was made, stored in the journal
+   * @return {Promise<Object>} The `transferOwnership` result, plus the `courseId`, the previous owner (`from`) and `sharedAssetIds`
+   */
+  async transferCourseOwnership (courseId, toUserId, { dryRun = false, reason } = {}) {
+    const { course, owner, filters, sharedAssetIds } = await this.getCourseTransferScope(courseId)
+    if (owner === String(toUserId)) {
+      throw this.app.errors.INVALID_TRANSFER_TARGET.setData({ _id: owner })
+    }
+    const result = await this.transferOwnership(owner, toUserId, { dryRun, filters, collections: Object.keys(filters), reason })
+    return { courseId: course._id, from: owner, ...result, sharedAssetIds }
+  }
+
+  /**
+   * Reassigns ownership of every document owned by one user to another, across all registered
+   * collections. The user is replaced as creator (`createdBy`) and as co-owner (`owners`); sharing
+   * grants and timestamps are left untouched.
+   *
+   * Every transfer is recorded in a journal before anything is moved. The move runs in a
+   * transaction where the deployment supports it; otherwise each collection is moved in turn, with
+   * progress written to the journal so an interrupted transfer can be resumed (see `resumeTransfers`).
+   * @param {String} fromUserId The current owner
+   * @param {String} toUserId The new owner
+   * @param {Object} options
+   * @param {Boolean} [options.dryRun=false] Only report which documents would move
+   * @param {Object} [options.filters] Extra match query per collection, keyed by collection name
+   * @param {Array<String>} [options.collections] Limits the transfer to these collections
+   * @param {String} [options.reason] Why the transfer was made, stored in the journal
+   * @return {Promise<Object>} For a dry run, `{ dryRun, ids, coOwnedIds }` (maps of collection name to ids of created and co-owned documents);
+   * otherwise `{ moved, failed, journalId }` (maps of collection name to documents reassigned and error message)
+   */
+  async transferOwnership (fromUserId, toUserId, { dryRun = false, filters = {}, collections, reason } = {}) {
     const mongodb = await this.app.waitForModule('mongodb')
     const from = fromUserId.toString()
     const to = toUserId.toString()
-    const moved = {}
+    const ids = {}
+    const coOwnedIds = {}
+    const createdByFields = {}
     for (const mod of this.registeredModules) {
-      if (!mod.collectionName) continue
-      const count = await mongodb.count(mod.collectionName, { createdBy: from })
-      if (count) await mongodb.updateMany(mod.collectionName, { createdBy: from }, { $set: { createdBy: to } })
-      moved[mod.collectionName] = count
+      const name = mod.collectionName
+      if (!name || (collections && !collections.includes(name))) continue
+      const findIds = async query => (await mongodb.find(name, { ...filters[name], ...query }, { projection: { _id: 1 } })).map(d => d._id)
+      const { createdBy } = this.getAuthorshipFields(mod)
+      // documents of modules without authorship have no creator to replace
+      ids[name] = createdBy ? await findIds({ [createdBy]: from }) : []
+      coOwnedIds[name] = await findIds({ owners: from })
+      if (createdBy) createdByFields[name] = createdBy
+    }
+    if (dryRun) {
+      return { dryRun: true, ids, coOwnedIds }
+    }
+    const journal = await mongodb.insert(TRANSFERS_COLLECTION, {
+      from,
+      to,
+      reason,
+      actor: this.getActor(),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      collections: Object.fromEntries(Object.entries(ids).map(([name, docIds]) => [name, { ids: docIds, coOwnedIds: coOwnedIds[name], createdByField: createdByFields[name], status: 'pending' }]))
+    })
+    return this.runTransfer(journal)
+  }
+
+  /**
+   * Moves the documents recorded in a transfer journal, updating the journal as it goes. Safe to
+   * re-run, as only documents still owned by the original user are moved.
+   * @param {Object} journal The transfer journal
+   * @return {Promise<Object>} `{ moved, failed, journalId }`
+   */
+  async runTransfer (journal) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const pending = Object.entries(journal.collections).filter(([, c]) => c.status !== 'complete')
+    const { from, to, actor, reason } = journal
+    const entry = action => buildOwnershipEntry({ action, previousOwner: from, newOwner: to, actor, reason })
+    const moveDocs = async (name, { ids, coOwnedIds = [], createdByField = 'createdBy' }, options) => {
+      const collection = mongodb.getCollection(name)
+      // the new owner no longer needs to be a co-owner of documents they now created
+      const created = await collection.updateMany({ _id: { $in: ids }, [createdByField]: from }, {
+        $set: { [createdByField]: to },
+        $pull: { owners: to },
+        $push: { ownershipHistory: entry('transfer') }
+      }, options)
+      if (!coOwnedIds.length) return created.modifiedCount
+      const coOwned = await collection.updateMany({ _id: { $in: coOwnedIds }, owners: from }, [{
+        $set: {
+          owners: {
+            $filter: {
+              input: { $setUnion: [{ $setDifference: ['$owners', [from]] }, [to]] },
+              cond: { $ne: ['$$this', `$${createdByField}`] }
+            }
+          },
+          ownershipHistory: appendOwnershipEntry({ $literal: entry('transferCoOwnership') })
+        }
+      }], options)
+      return created.modifiedCount + coOwned.modifiedCount
+    }
+    let moved = {}
+    const failed = {}
+
+    if (await this.supportsTransactions()) {
+      const session = mongodb.client.startSession()
+      let current
+      try {
+        await session.withTransaction(async () => {
+          moved = {} // the callback is retried on transient errors
+          for (const [name, entry] of pending) {
+            current = name
+            moved[name] = await moveDocs(name, entry, { session })
+          }
+        })
+      } catch (e) {
+        moved = {}
+        failed[current] = e.message
+      } finally {
+        await session.endSession()
+      }
+      const $set = {}
+      pending.forEach(([name]) => {
+        $set[`collections.${name}.status`] = failed[name] ? 'failed' : (moved[name] !== undefined ? 'complete' : 'pending')
+        if (failed[name]) $set[`collections.${name}.error`] = failed[name]
+        if (moved[name] !== undefined) $set[`collections.${name}.moved`] = moved[name]
+      })
+      await mongodb.update(TRANSFERS_COLLECTION, { _id: journal._id }, { $set })
+    } else {
+      for (const [name, entry] of pending) {
+        const $set = {}
+        try {
+          moved[name] = await moveDocs(name, entry)
+          Object.assign($set, { [`collections.${name}.status`]: 'complete', [`collections.${name}.moved`]: moved[name] })
+        } catch (e) {
+          failed[name] = e.message
+          Object.assign($set, { [`collections.${name}.status`]: 'failed', [`collections.${name}.error`]: e.message })
+        }
+        await mongodb.update(TRANSFERS_COLLECTION, { _id: journal._id }, { $set })
+      }
+    }
+    const status = Object.keys(failed).length ? 'failed' : 'complete'
+    await mongodb.update(TRANSFERS_COLLECTION, { _id: journal._id }, { $set: { status, completedAt: new Date().toISOString() } })
+    Object.keys(moved).forEach(name => {
+      const { ids, coOwnedIds = [] } = journal.collections[name]
+      this.emit(this.ownershipTransferredHook, {
+        actor,
+        action: 'transfer',
+        collection: name,
+        ids: [...ids, ...coOwnedIds],
+        from,
+        to,
+        reason,
+        journalId: journal._id
+      })
+    })
+    return { moved, failed, journalId: journal._id }
+  }
+
+  /**
+   * Completes any transfers which were interrupted before finishing
+   * @return {Promise}
+   */
+  async resumeTransfers () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const journals = await mongodb.find(TRANSFERS_COLLECTION, { status: 'pending' })
+    for (const journal of journals) {
+      try {
+        const { failed } = await this.runTransfer(journal)
+        if (Object.keys(failed).length) this.log('warn', `ownership transfer ${journal._id} resumed with failures`, failed)
+      } catch (e) {
+        this.log('error', `failed to resume ownership transfer ${journal._id}, ${e}`)
+      }
+    }
+  }
+
+  /**
+   * Whether the database deployment supports multi-document transactions (i.e. is a replica set or sharded cluster)
+   * @return {Promise<Boolean>}
+   */
+  async supportsTransactions () {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const { setName, msg } = await mongodb.client.db().admin().command({ hello: 1 })
+      return !!setName || msg === 'isdbgrid'
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Stores a snapshot of a document before and after a write. Failures are logged rather than
+   * thrown, as the write itself has already succeeded.
+   * @param {AbstractApiModule} mod Module owning the document
+   * @param {String} action The write action (insert, update or delete)
+   * @param {Object} before The document before the write (null for inserts)
+   * @param {Object} after The document after the write (null for deletes)
+   * @return {Promise}
+   */
+  async recordRevision (mod, action, before, after) {
+    const doc = after ?? before
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      await mongodb.insert(REVISIONS_COLLECTION, {
+        action,
+        collection: mod.collectionName,
+        docId: String(doc._id),
+        actor: after?.updatedBy ?? this.getActor(),
+        timestamp: new Date().toISOString(),
+        before,
+        after
+      })
+    } catch (e) {
+      this.log('warn', `failed to record ${action} revision for ${mod.collectionName}/${doc._id}, ${e}`)
+    }
+  }
+
+  /**
+   * Returns the revisions recorded for a document, newest first
+   * @param {String} collection Collection name
+   * @param {String} docId _id of the document
+   * @return {Promise<Array>}
+   */
+  async getRevisions (collection, docId) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    return mongodb.find(REVISIONS_COLLECTION, { collection, docId: String(docId) }, { sort: { timestamp: -1 } })
+  }
+
+  /**
+   * Restores a document to the state recorded by a revision. The document is written through its
+   * module (so is validated, timestamped, and itself recorded as a new revision), and is re-inserted
+   * with its original _id if it has since been deleted. Fields added since the revision are removed.
+   * The document's ownership, contributors and edit lock are kept as they are (see `RESTORE_PRESERVED_FIELDS`).
+   * @param {String} revisionId _id of the revision to restore
+   * @param {Object} data Extra data to apply to the restored document (e.g. updatedBy)
+   * @return {Promise<Object>} The restored document
+   */
+  async restoreRevision (revisionId, data = {}) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [revision] = await mongodb.find(REVISIONS_COLLECTION, { _id: revisionId })
+    if (!revision) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'revision', id: String(revisionId) })
+    }
+    if (!revision.after) {
+      throw this.app.errors.REVISION_NOT_RESTORABLE.setData({ _id: String(revisionId), action: revision.action })
+    }
+    const mod = this.registeredModules.find(m => m.collectionName === revision.collection)
+    if (!mod) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'collection', id: revision.collection })
+    }
+    const { timestamps, fields } = this.getModuleOptions(mod)
+    const { _id, ...snapshot } = revision.after
+    delete snapshot[fields.updatedBy]
+    const [current] = await mod.find({ _id })
+    // a deleted document gets back the owners it had, but not a lock which has long since lapsed
+    const preserved = current ? [...RESTORE_PRESERVED_FIELDS, this.getAuthorshipFields(mod).createdBy] : LOCK_FIELDS
+    preserved.forEach(f => delete snapshot[f])
+    const restored = { ...snapshot, ...(timestamps && { [fields.updatedAt]: new Date().toISOString() }), ...data }
+    if (!current) return mod.insert({ _id, ...restored }, {}, { preserveId: true })
+    const updated = await mod.update({ _id }, restored)
+    // the module merges updates into the existing document, so anything the snapshot lacks has to be removed separately
+    const added = Object.keys(current).filter(k => k !== '_id' && !(k in restored) && !preserved.includes(k))
+    if (!added.length) return updated
+    return mongodb.update(mod.collectionName, { _id }, { $unset: Object.fromEntries(added.map(k => [k, ''])) })
+  }
+
+  /**
+   * Checks that the requesting user has access to a document with revisions, using the document's current state,
+   * or its latest snapshot if it has since been deleted
+   * @param {external:ExpressRequest} req
+   * @param {String} collection Collection name
+   * @param {String} docId _id of the document
+   * @param {Object} [latest] The document's latest revision
+   * @return {Promise}
+   */
+  async checkRevisionAccess (req, collection, docId, latest) {
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [doc] = mod ? await mongodb.find(collection, { _id: docId }) : []
+    if (!await this.canAccessDoc(req, collection, doc ?? latest?.after ?? latest?.before)) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'document', id: String(docId) })
+    }
+  }
+
+  /**
+   * Handles listing a document's revisions
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async getRevisionsHandler (req, res, next) {
+    try {
+      const { collection, docId } = req.params
+      const revisions = await this.getRevisions(collection, docId)
+      await this.checkRevisionAccess(req, collection, docId, revisions[0])
+      res.json(revisions)
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles restoring a document to an earlier revision
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async restoreRevisionHandler (req, res, next) {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const [revision] = await mongodb.find(REVISIONS_COLLECTION, { _id: req.params.revisionId })
+      // unknown revisions are rejected by restoreRevision
+      if (revision) await this.checkRevisionAccess(req, revision.collection, revision.docId, revision)
+      const { updatedBy } = this.getAuthorshipFields(this.registeredModules.find(m => m.collectionName === revision?.collection))
+      const data = req.auth?.user && updatedBy ? { [updatedBy]: req.auth.user._id.toString() } : {}
+      res.json(await this.restoreRevision(req.params.revisionId, data))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Retrieves a document from a registered collection for an ownership change, checking that the
+   * requesting user owns it (or may transfer ownership)
+   * @param {external:ExpressRequest} req
+   * @return {Promise<Object>}
+   */
+  async getOwnedDoc (req) {
+    const { collection, _id } = req.params
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const { createdBy } = this.getModuleOptions(mod).fields
+    const [doc] = mod ? await mongodb.find(collection, { _id }, { projection: { [createdBy]: 1, owners: 1 } }) : []
+    if (!doc) {
+      throw this.app.errors.NOT_FOUND.setData({ type: collection, id: String(_id) })
+    }
+    if (!this.grantCreatorItem(req, doc, createdBy) && !this.hasScope(req, 'transfer:ownership')) {
+      throw this.app.errors.NOT_DOCUMENT_OWNER.setData({ _id: String(_id) })
     }
-    return moved
+    return doc
+  }
+
+  /**
+   * Adds a co-owner to a document
+   * @param {String} collection Collection name
+   * @param {Object} doc The document (must include its creator)
+   * @param {String} userId The user to add
+   * @return {Promise<Array>} The updated co-owners
+   */
+  async addOwner (collection, doc, userId) {
+    const id = userId.toString()
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    if (String(doc[this.getModuleOptions(mod).fields.createdBy]) === id) {
+      throw this.app.errors.INVALID_OWNER.setData({ _id: id })
+    }
+    if (doc.owners?.some(o => String(o) === id)) return doc.owners
+    await this.checkTransferUser(id)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const { owners = [] } = await mongodb.update(collection, { _id: doc._id }, {
+      $addToSet: { owners: id },
+      $push: { ownershipHistory: buildOwnershipEntry({ action: 'addOwner', newOwner: id, actor: this.getActor() }) }
+    })
+    this.emit(this.ownershipTransferredHook, { action: 'addOwner', collection, ids: [doc._id], courseId: doc._courseId, to: id })
+    return owners
+  }
+
+  /**
+   * Removes a co-owner from a document
+   * @param {String} collection Collection name
+   * @param {Object} doc The document
+   * @param {String} userId The user to remove
+   * @return {Promise<Array>} The updated co-owners
+   */
+  async removeOwner (collection, doc, userId) {
+    const id = userId.toString()
+    if (!doc.owners?.some(o => String(o) === id)) return doc.owners ?? []
+    const mongodb = await this.app.waitForModule('mongodb')
+    const { owners = [] } = await mongodb.update(collection, { _id: doc._id }, {
+      $pull: { owners: id },
+      $push: { ownershipHistory: buildOwnershipEntry({ action: 'removeOwner', previousOwner: id, actor: this.getActor() }) }
+    })
+    this.emit(this.ownershipTransferredHook, { action: 'removeOwner', collection, ids: [doc._id], courseId: doc._courseId, from: id })
+    return owners
+  }
+
+  /**
+   * Appends an ownership history entry to a document whose creator was changed by an update. Tapped on the
+   * module's `postUpdateHook`, so each document gets its own entry (and concurrent entries aren't lost).
+   * @param {AbstractApiModule} mod Module owning the document
+   * @param {Object} ogDoc The original document
+   * @param {Object} newDoc The updated document
+   * @param {String} [createdByField=createdBy] Name of the field holding the document's creator
+   * @return {Promise}
+   */
+  async recordCreatorChange (mod, ogDoc, newDoc, createdByField = 'createdBy') {
+    const newOwner = newDoc?.[createdByField]
+    if (!newOwner || String(newOwner) === String(ogDoc[createdByField])) return
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.update(mod.collectionName, { _id: ogDoc._id }, {
+      $push: { ownershipHistory: buildOwnershipEntry({ action: 'transfer', previousOwner: ogDoc[createdByField], newOwner, actor: this.getActor(), reason: 'update' }) }
+    })
+  }
+
+  /**
+   * Returns the ownership lineage of a document
+   * @param {String} collection Collection name
+   * @param {String} _id _id of the document
+   * @return {Promise<Object>} `{ originalOwner, createdBy, owners, history }`, with history oldest first
+   */
+  async getOwnershipHistory (collection, _id) {
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const { createdBy } = this.getModuleOptions(mod).fields
+    const [doc] = mod ? await mongodb.find(collection, { _id }, { projection: { [createdBy]: 1, owners: 1, ownershipHistory: 1 } }) : []
+    if (!doc) {
+      throw this.app.errors.NOT_FOUND.setData({ type: collection, id: String(_id) })
+    }
+    const history = doc.ownershipHistory ?? []
+    const firstChange = history.find(e => e.action === 'transfer' || e.action === 'promote')
+    return {
+      originalOwner: firstChange?.previousOwner ?? doc[createdBy],
+      createdBy: doc[createdBy],
+      owners: doc.owners ?? [],
+      history
+    }
+  }
+
+  /**
+   * Checks whether the user making a request has access to a document, using the access checks of the
+   * module the document belongs to (which include the creator grants)
+   * @param {external:ExpressRequest} req
+   * @param {String} collection Collection of the document
+   * @param {Object} doc The document
+   * @return {Promise<Boolean>}
+   */
+  async canAccessDoc (req, collection, doc) {
+    if (req.auth?.isSuper) return true
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    if (!mod || !doc) return false
+    // as with the API modules, no access checks means no restrictions
+    const results = await mod.accessCheckHook.invoke(req, doc)
+    return !results?.length || results.some(Boolean)
+  }
+
+  /**
+   * Handles streaming changes as server-sent events, for as long as the client stays connected
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async changesStreamHandler (req, res, next) {
+    const { courseId } = req.query
+    const onChange = async payload => {
+      if (courseId && payload.courseId !== courseId) return
+      try {
+        if (!await this.canAccessDoc(req, payload.collection, payload.doc)) return
+      } catch (e) {
+        return this.log('warn', `failed to check access to streamed change, ${e}`)
+      }
+      const { actor, action, collection, ids: [id], courseId: changedCourseId } = payload
+      res.write(`event: change\ndata: ${JSON.stringify({ actor, action, collection, id, courseId: changedCourseId })}\n\n`)
+    }
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+    res.flushHeaders()
+    this.changeSubscribers.add(onChange)
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEPALIVE_INTERVAL)
+    req.on('close', () => {
+      clearInterval(keepAlive)
+      this.changeSubscribers.delete(onChange)
+    })
+  }
+
+  /**
+   * Passes a change on to every change stream client (a `changedHook` observer)
+   * @param {Object} payload The change (see `emit`)
+   * @return {Promise}
+   */
+  async notifyChangeSubscribers (payload) {
+    await Promise.all([...this.changeSubscribers].map(fn => fn(payload)))
+  }
+
+  /**
+   * Handles retrieving the ownership lineage of a document, if the requesting user has access to it
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async getOwnershipHistoryHandler (req, res, next) {
+    try {
+      const { collection, _id } = req.params
+      const mod = this.registeredModules.find(m => m.collectionName === collection)
+      const mongodb = await this.app.waitForModule('mongodb')
+      const [doc] = mod ? await mongodb.find(collection, { _id }) : []
+      if (!doc || !await this.canAccessDoc(req, collection, doc)) {
+        throw this.app.errors.NOT_FOUND.setData({ type: collection, id: String(_id) })
+      }
+      res.json(await this.getOwnershipHistory(collection, _id))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles adding a co-owner to a document
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async addOwnerHandler (req, res, next) {
+    try {
+      const { userId } = req.body ?? {}
+      if (!userId) {
+        throw this.app.errors.INVALID_PARAMS.setData({ params: ['userId'] })
+      }
+      const doc = await this.getOwnedDoc(req)
+      res.json(await this.addOwner(req.params.collection, doc, userId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles removing a co-owner from a document
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async removeOwnerHandler (req, res, next) {
+    try {
+      const doc = await this.getOwnedDoc(req)
+      res.json(await this.removeOwner(req.params.collection, doc, req.params.userId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Whether a document has an edit lock which hasn't expired
+   * @param {Object} doc
+   * @return {Boolean}
+   */
+  isLocked (doc) {
+    return !!doc.lockedBy && new Date(doc.lockExpiresAt) > new Date()
+  }
+
+  /**
+   * Rejects an update to a document locked by another user. Only applies to API requests, so server-side
+   * writes aren't blocked by locks.
+   * @param {Object} ogDoc The document being updated
+   */
+  checkLock (ogDoc) {
+    if (!this.requestContext.getStore()?.req || !this.isLocked(ogDoc)) return
+    if (String(ogDoc.lockedBy) === this.getActor()) return
+    throw this.app.errors.DOCUMENT_LOCKED.setData({ id: ogDoc._id?.toString(), lockedBy: ogDoc.lockedBy, lockExpiresAt: ogDoc.lockExpiresAt })
+  }
+
+  /**
+   * Returns the document targeted by a lock request, if the user has access to it
+   * @param {external:ExpressRequest} req
+   * @return {Promise<Object>}
+   */
+  async getLockableDoc (req) {
+    const { collection, _id } = req.params
+    const mod = this.registeredModules.find(m => m.collectionName === collection)
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [doc] = mod ? await mongodb.find(collection, { _id }) : []
+    if (!doc || !await this.canAccessDoc(req, collection, doc)) {
+      throw this.app.errors.NOT_FOUND.setData({ type: collection, id: String(_id) })
+    }
+    return doc
+  }
+
+  /**
+   * Acquires the edit lock on a document for a user, or renews it if the user already holds it. The lock is
+   * stored as the schema stores it (an ObjectId and Dates), so that it's unchanged by the holder's own updates.
+   * @param {String} collection Collection name
+   * @param {Object} doc The document
+   * @param {String} userId _id of the user
+   * @return {Promise<Object>} `{ lockedBy, lockedAt, lockExpiresAt }`
+   */
+  async acquireLock (collection, doc, userId) {
+    const id = userId.toString()
+    const now = new Date()
+    const lock = withObjectIds({
+      lockedBy: id,
+      lockedAt: String(doc.lockedBy) === id && this.isLocked(doc) ? new Date(doc.lockedAt) : now,
+      lockExpiresAt: new Date(now.getTime() + this.getConfig('lockLifespan'))
+    })
+    const mongodb = await this.app.waitForModule('mongodb')
+    // only take the lock if it's free, expired or already ours, in case someone else has just taken it
+    const { matchedCount } = await mongodb.getCollection(collection).updateOne({
+      _id: doc._id,
+      $or: [{ lockedBy: null }, { lockedBy: lock.lockedBy }, ...buildDateRangeQuery('lockExpiresAt', { $lte: now }).$or]
+    }, { $set: lock })
+    if (!matchedCount) {
+      const [current] = await mongodb.find(collection, { _id: doc._id })
+      throw this.app.errors.DOCUMENT_LOCKED.setData({ id: doc._id.toString(), lockedBy: current?.lockedBy, lockExpiresAt: current?.lockExpiresAt })
+    }
+    return lock
+  }
+
+  /**
+   * Releases the edit lock on a document
+   * @param {String} collection Collection name
+   * @param {Object} doc The document
+   * @param {String} userId _id of the user releasing the lock
+   * @param {Object} options
+   * @param {Boolean} options.force Release the lock even if it's held by someone else
+   * @return {Promise}
+   */
+  async releaseLock (collection, doc, userId, { force = false } = {}) {
+    if (!doc.lockedBy) return
+    if (!force && this.isLocked(doc) && String(doc.lockedBy) !== userId.toString()) {
+      throw this.app.errors.DOCUMENT_LOCKED.setData({ id: doc._id.toString(), lockedBy: doc.lockedBy, lockExpiresAt: doc.lockExpiresAt })
+    }
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.getCollection(collection).updateOne({ _id: doc._id }, { $unset: { lockedBy: '', lockedAt: '', lockExpiresAt: '' } })
+  }
+
+  /**
+   * Removes expired edit locks from all registered collections
+   * @return {Promise<Object>} Map of collection name to number of locks cleared
+   */
+  async clearExpiredLocks () {
+    const cleared = {}
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const expired = buildDateRangeQuery('lockExpiresAt', { $lte: new Date() })
+      for (const name of new Set(this.registeredModules.map(m => m.collectionName).filter(Boolean))) {
+        const { modifiedCount } = await mongodb.getCollection(name).updateMany(
+          expired,
+          { $unset: { lockedBy: '', lockedAt: '', lockExpiresAt: '' } }
+        )
+        cleared[name] = modifiedCount
+      }
+    } catch (e) {
+      this.log('error', `failed to clear expired locks, ${e}`)
+    }
+    return cleared
+  }
+
+  /**
+   * Handles acquiring or renewing the edit lock on a document
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async acquireLockHandler (req, res, next) {
+    try {
+      const doc = await this.getLockableDoc(req)
+      res.json(await this.acquireLock(req.params.collection, doc, req.auth.user._id))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles releasing the edit lock on a document
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async releaseLockHandler (req, res, next) {
+    try {
+      const doc = await this.getLockableDoc(req)
+      await this.releaseLock(req.params.collection, doc, req.auth.user._id, { force: this.hasScope(req, 'unlock:authored') })
+      res.status(204).end()
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Checks whether the requesting user has a permissions scope (super users have every scope)
+   * @param {external:ExpressRequest} req
+   * @param {String} scope
+   * @return {Boolean}
+   */
+  hasScope (req, scope) {
+    return !!req.auth?.isSuper || !!req.auth?.scopes?.includes(scope)
+  }
+
+  /**
+   * Handles previewing an ownership transfer: responds with the courses and assets owned by
+   * the user, along with per-collection owned counts
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async getTransferHandler (req, res, next) {
+    try {
+      const { userId } = req.params
+      await this.checkTransferUser(userId)
+      const [summary, counts] = await Promise.all([this.getOwnedSummary(userId), this.getOwnedCounts(userId)])
+      res.json({ ...summary, counts })
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles transferring ownership of a user's content to the user specified by `transferTo`
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async transferHandler (req, res, next) {
+    try {
+      const { userId } = req.params
+      const { transferTo } = req.body ?? {}
+      if (!transferTo) {
+        throw this.app.errors.INVALID_PARAMS.setData({ params: ['transferTo'] })
+      }
+      if (String(transferTo) === String(userId)) {
+        throw this.app.errors.INVALID_TRANSFER_TARGET.setData({ _id: String(userId) })
+      }
+      await Promise.all([this.checkTransferUser(userId), this.checkTransferUser(transferTo)])
+      res.json(await this.transferOwnership(userId, transferTo, { dryRun: req.body.dryRun === true, reason: 'api' }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles previewing a course transfer
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async getCourseTransferHandler (req, res, next) {
+    try {
+      res.json(await this.getCourseTransferPreview(req.params.courseId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles transferring ownership of a course to the user specified by `transferTo`
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async courseTransferHandler (req, res, next) {
+    try {
+      const { transferTo } = req.body ?? {}
+      if (!transferTo) {
+        throw this.app.errors.INVALID_PARAMS.setData({ params: ['transferTo'] })
+      }
+      await this.checkTransferUser(transferTo)
+      res.json(await this.transferCourseOwnership(req.params.courseId, transferTo, { dryRun: req.body.dryRun === true, reason: 'api' }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Throws a NOT_FOUND error if the user doesn't exist
+   * @param {String} userId
+   * @return {Promise}
+   */
+  async checkTransferUser (userId) {
+    if (!await this.userExists(userId)) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'user', id: String(userId) })
+    }
+  }
+
+  /**
+   * Handles retrieving a page of recently-changed documents, filtered by the requesting user's access
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async recentHandler (req, res, next) {
+    try {
+      let after
+      if (req.query.cursor) {
+        after = decodeRecentCursor(req.query.cursor)
+        if (!after) throw this.app.errors.INVALID_PARAMS.setData({ params: ['cursor'] })
+      }
+      const { details, updatedBy, groupBy } = req.query
+      const collections = req.query.collections?.split(',')
+      const invalid = []
+      let limit = 25
+      if (req.query.limit !== undefined) {
+        const n = Number(req.query.limit)
+        if (!Number.isInteger(n) || n < 1) invalid.push('limit')
+        else limit = Math.min(n, MAX_RECENT_LIMIT)
+      }
+      const range = {}
+      for (const param of ['from', 'to']) {
+        if (req.query[param] === undefined) continue
+        const date = new Date(req.query[param])
+        if (isNaN(date)) invalid.push(param)
+        else range[param] = date.toISOString()
+      }
+      if (collections?.some(c => !this.registeredModules.some(m => m.collectionName === c))) invalid.push('collections')
+      if (groupBy !== undefined && groupBy !== 'course') invalid.push('groupBy')
+      if (invalid.length) throw this.app.errors.INVALID_PARAMS.setData({ params: invalid })
+
+      const filters = await this.getAccessFilters(req)
+      // fetch an extra row to find out whether there's another page
+      const rows = await this.getRecentlyChanged({
+        limit: limit + 1,
+        filters,
+        after,
+        collections,
+        details: details === 'true',
+        updatedBy,
+        groupBy,
+        ...range
+      })
+      const results = rows.slice(0, limit)
+      res.json({ results, cursor: rows.length > limit ? encodeRecentCursor(results.at(-1)) : null })
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles retrieving per-user authoring statistics. Defaults to daily counts over the last 30 days.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async statsHandler (req, res, next) {
+    try {
+      const { from: fromParam, to: toParam, interval = 'day', userId } = req.query
+      const to = toParam ? new Date(toParam) : new Date()
+      const from = fromParam ? new Date(fromParam) : new Date(to.getTime() - DEFAULT_STATS_DAYS * 86400000)
+      const invalid = Object.entries({ from, to }).filter(([, d]) => isNaN(d)).map(([k]) => k)
+      if (!['day', 'week'].includes(interval)) invalid.push('interval')
+      if (invalid.length) throw this.app.errors.INVALID_PARAMS.setData({ params: invalid })
+      const users = await this.getAuthoringStats({ from: from.toISOString(), to: to.toISOString(), interval, userId })
+      res.json({ from: from.toISOString(), to: to.toISOString(), interval, users })
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Handles reporting on stale and abandoned content
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async reportHandler (req, res, next) {
+    try {
+      const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_STALE_DAYS
+      if (!(days > 0)) throw this.app.errors.INVALID_PARAMS.setData({ params: ['days'] })
+      res.json(await this.getContentReport({ days }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Builds the access filter for each registered collection by invoking the module's `accessQueryHook`
+   * (which includes the creator grant from `grantCreatorQuery`) against an empty query. As with the API itself,
+   * super users aren't filtered. Ids in the filters are converted to ObjectIds, as they're matched by the driver directly.
+   * @param {external:ExpressRequest} req
+   * @return {Promise<Object>} Map of collection name to match query
+   */
+  async getAccessFilters (req) {
+    const filters = {}
+    if (req.auth?.isSuper) return filters
+    await Promise.all(this.registeredModules.filter(m => m.collectionName).map(async mod => {
+      // the original request is left untouched; only the query differs
+      const scopedReq = Object.assign(Object.create(req), { apiData: { ...req.apiData, query: {} } })
+      await mod.accessQueryHook.invoke(scopedReq)
+      filters[mod.collectionName] = withObjectIds(scopedReq.apiData.query)
+    }))
+    return filters
   }
 
   /**
@@ -234,15 +2406,115 @@ class AuthoredModule extends AbstractModule {
    * @param {Object} options
    * @param {Number} options.limit Maximum number of rows to return
    * @param {Object} options.filters Per-collection match query keyed by collection name (e.g. access filters)
-   * @return {Promise<Array>} Rows of { _id, collection, createdAt, updatedAt, createdBy, updatedBy }
+   * @param {Object} options.after Cursor position (`{ updatedAt, _id }`) to continue from
+   * @param {Array<String>} options.collections Only include these collections
+   * @param {Boolean} options.details Whether to include each document's title, _type and _courseId
+   * @param {String} options.updatedBy Only include documents last updated by this user
+   * @param {String} options.from Only include documents updated at or after this ISO date
+   * @param {String} options.to Only include documents updated before this ISO date
+   * @param {String} options.groupBy Set to `course` to return one row per course
+   * @return {Promise<Array>} Rows of { _id, collection, createdAt, updatedAt, createdBy, updatedBy }, or
+   * { _id, title, updatedAt, updatedBy, changes } per course (see `buildRecentlyChangedPipeline`)
    */
-  async getRecentlyChanged ({ limit = 25, filters = {} } = {}) {
-    const collections = this.registeredModules.map(m => m.collectionName).filter(Boolean)
+  async getRecentlyChanged ({ limit = 25, filters = {}, after, collections: include, updatedBy, ...options } = {}) {
+    const collections = this.registeredModules
+      .map(m => m.collectionName)
+      .filter(c => c && (!include || include.includes(c)))
     if (!collections.length) return []
-    const pipeline = buildRecentlyChangedPipeline(collections, { limit, filters })
+    const pipeline = buildRecentlyChangedPipeline(collections, { limit, filters, after, ...withObjectIds({ updatedBy }), ...options })
     const mongodb = await this.app.waitForModule('mongodb')
     return mongodb.getCollection(collections[0]).aggregate(pipeline).toArray()
   }
+
+  /**
+   * Returns the number of documents each user has created and updated across all registered collections over a
+   * date range, in total, per collection and per period (see `buildAuthoringStatsPipeline`)
+   * @param {Object} options
+   * @param {String} options.from ISO date the range starts at (inclusive)
+   * @param {String} options.to ISO date the range ends at (exclusive)
+   * @param {String} options.interval Period to group by, `day` or `week`
+   * @param {String} options.userId Only include this user
+   * @return {Promise<Object>} Map of user _id to `{ created, updated, collections, periods }`, where collections and
+   * periods map each collection name/period start date to `{ created, updated }`
+   */
+  async getAuthoringStats ({ from, to, interval = 'day', userId } = {}) {
+    const collections = [...new Set(this.registeredModules.map(m => m.collectionName).filter(Boolean))]
+    if (!collections.length) return {}
+    const pipeline = buildAuthoringStatsPipeline(collections, { from, to, interval, ...withObjectIds({ userId }) })
+    const mongodb = await this.app.waitForModule('mongodb')
+    const rows = await mongodb.getCollection(collections[0]).aggregate(pipeline).toArray()
+    const stats = {}
+    const counts = () => ({ created: 0, updated: 0 })
+    rows.forEach(({ _id: { user, collection, action, period }, count }) => {
+      if (!user) return
+      const userStats = stats[user] ??= { ...counts(), collections: {}, periods: {} }
+      userStats.collections[collection] ??= counts()
+      userStats.periods[period] ??= counts()
+      userStats[action] += count
+      userStats.collections[collection][action] += count
+      userStats.periods[period][action] += count
+    })
+    return stats
+  }
+
+  /**
+   * Reports on content which may need archiving or reassigning: courses and assets which haven't been updated
+   * for a number of days, and content created by users who can no longer sign in (see `getAbandonedContent`)
+   * @param {Object} options
+   * @param {Number} [options.days] Number of days without an update after which courses and assets are stale
+   * @return {Promise<Object>} `{ days, before, stale: { courses, assets }, abandoned }`, where the stale rows
+   * (`{ _id, title, createdBy, updatedAt, updatedBy }`) are oldest first
+   */
+  async getContentReport ({ days = DEFAULT_STALE_DAYS } = {}) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const before = new Date(Date.now() - days * 86400000).toISOString()
+    const stale = buildDateRangeQuery('updatedAt', { $lt: before })
+    const options = { sort: { updatedAt: 1 }, projection: { title: 1, displayTitle: 1, createdBy: 1, updatedAt: 1, updatedBy: 1 } }
+    const [courses, assets, abandoned] = await Promise.all([
+      mongodb.find('content', { _type: 'course', ...stale }, options),
+      mongodb.find('assets', stale, options),
+      this.getAbandonedContent()
+    ])
+    const toRow = d => ({
+      _id: d._id,
+      title: d.title || d.displayTitle || String(d._id),
+      createdBy: d.createdBy,
+      updatedAt: d.updatedAt,
+      updatedBy: d.updatedBy
+    })
+    return { days, before, stale: { courses: courses.map(toRow), assets: assets.map(toRow) }, abandoned }
+  }
+
+  /**
+   * Finds the disabled and locked users who created documents in the registered collections
+   * @return {Promise<Array<Object>>} `{ user, reasons, counts, courses, assets }` for each user, where reasons lists
+   * `disabled` and/or `locked`, counts maps collection name to the number of documents the user created, and courses
+   * and assets are as returned by `getOwnedSummary`
+   */
+  async getAbandonedContent () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const users = await mongodb.find('users', { $or: [{ isEnabled: false }, { isPermLocked: true }, { isTempLocked: true }] }, {
+      projection: { email: 1, firstName: 1, lastName: 1, isEnabled: 1, isPermLocked: 1, isTempLocked: 1 }
+    })
+    const collections = new Map(this.registeredModules
+      .map(m => [m.collectionName, this.getAuthorshipFields(m).createdBy])
+      .filter(([name, createdBy]) => name && createdBy))
+    const abandoned = []
+    for (const { _id, email, firstName, lastName, isEnabled, isPermLocked, isTempLocked } of users) {
+      const userId = _id.toString()
+      const counts = {}
+      for (const [name, createdBy] of collections) {
+        const count = await mongodb.count(name, { [createdBy]: userId })
+        if (count) counts[name] = count
+      }
+      if (!Object.keys(counts).length) continue
+      const reasons = []
+      if (isEnabled === false) reasons.push('disabled')
+      if (isPermLocked || isTempLocked) reasons.push('locked')
+      abandoned.push({ user: { _id, email, firstName, lastName }, reasons, counts, ...await this.getOwnedSummary(userId) })
+    }
+    return abandoned
+  }
 }
 
 export default AuthoredModule
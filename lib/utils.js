@@ -1 +1,12 @@
+export { default as buildAuthoringStatsPipeline } from './utils/buildAuthoringStatsPipeline.js'
+export { default as buildBackfillUpdate } from './utils/buildBackfillUpdate.js'
+export { default as buildContributorUpdate } from './utils/buildContributorUpdate.js'
+export { default as buildDateRangeQuery } from './utils/buildDateRangeQuery.js'
+export { default as buildOwnershipEntry } from './utils/buildOwnershipEntry.js'
 export { default as buildRecentlyChangedPipeline } from './utils/buildRecentlyChangedPipeline.js'
+export { default as buildSchemaVariant } from './utils/buildSchemaVariant.js'
+export { default as collectObjectIds } from './utils/collectObjectIds.js'
+export { default as decodeRecentCursor } from './utils/decodeRecentCursor.js'
+export { default as encodeRecentCursor } from './utils/encodeRecentCursor.js'
+export { default as isVersionConflict } from './utils/isVersionConflict.js'
+export { default as toETag } from './utils/toETag.js'
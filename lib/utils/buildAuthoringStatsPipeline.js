@@ -0,0 +1,57 @@
+import buildDateRangeQuery from './buildDateRangeQuery.js'
+
+/**
+ * Builds an aggregation pipeline counting the documents created and updated by each user across several
+ * collections, grouped by collection and by day or week. A document counts as updated by its last editor
+ * only (and only when edited after being created), as earlier edits aren't recorded on the document.
+ * The first collection is the aggregation base; the rest are unioned in.
+ * @param {Array} collections Collection names to union (non-empty)
+ * @param {Object} options
+ * @param {String} options.from ISO date the range starts at (inclusive)
+ * @param {String} options.to ISO date the range ends at (exclusive)
+ * @param {String} options.interval Period to group by, `day` or `week` (weeks start on Monday)
+ * @param {ObjectId|String} options.userId Only count the activity of this user (as stored, i.e. an ObjectId)
+ * @return {Array} The aggregation pipeline, returning rows of `{ _id: { user, collection, action, period }, count }`
+ */
+export default function buildAuthoringStatsPipeline (collections, { from, to, interval = 'day', userId } = {}) {
+  const branch = (name, action) => {
+    const [userField, dateField] = action === 'created' ? ['createdBy', 'createdAt'] : ['updatedBy', 'updatedAt']
+    const $match = buildDateRangeQuery(dateField, { $gte: from, $lt: to })
+    if (userId) $match[userField] = userId
+    if (action === 'updated') $match.$expr = { $ne: ['$updatedAt', '$createdAt'] }
+    return [
+      { $match },
+      {
+        $project: {
+          _id: 0,
+          user: `$${userField}`,
+          date: { $toDate: `$${dateField}` },
+          collection: { $literal: name },
+          action: { $literal: action }
+        }
+      }
+    ]
+  }
+  const [base, ...branches] = collections.flatMap(name => [[name, 'created'], [name, 'updated']])
+  return [
+    ...branch(...base),
+    ...branches.map(([name, action]) => ({ $unionWith: { coll: name, pipeline: branch(name, action) } })),
+    {
+      $group: {
+        _id: {
+          user: '$user',
+          collection: '$collection',
+          action: '$action',
+          period: {
+            $dateToString: {
+              date: { $dateTrunc: { date: '$date', unit: interval, startOfWeek: 'monday' } },
+              format: '%Y-%m-%d'
+            }
+          }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.user': 1, '_id.period': 1 } }
+  ]
+}
@@ -0,0 +1,30 @@
+/**
+ * Builds the query and pipeline update which fill in missing authored fields. Timestamps are taken
+ * from the document's ObjectId, and the creator from the fallback user. Only documents missing a
+ * field are matched, so the update can safely be run more than once.
+ * @param {ObjectId|String} [fallbackUser] _id of the user to set as creator (`createdBy` is left alone when not set).
+ * Written as given, so should be an ObjectId to match the creators stored by the API
+ * @param {Object} [options] Options of the module owning the documents (see `registerModule`)
+ * @param {Boolean} [options.timestamps=true] Whether to fill in createdAt/updatedAt
+ * @param {Boolean} [options.authorship=true] Whether to fill in createdBy
+ * @param {Object} [options.fields] Map of authored field name to the name it's stored under
+ * @return {Object} `{ query, update }`, or null when there's nothing to fill in
+ */
+export default function buildBackfillUpdate (fallbackUser, { timestamps = true, authorship = true, fields = {} } = {}) {
+  const [createdAt, updatedAt, createdBy] = ['createdAt', 'updatedAt', 'createdBy'].map(f => fields[f] ?? f)
+  const idDate = { $dateToString: { date: { $toDate: '$_id' }, format: '%Y-%m-%dT%H:%M:%S.%LZ' } }
+  const $set = {}
+  if (timestamps) {
+    $set[createdAt] = { $ifNull: [`$${createdAt}`, idDate] }
+    $set[updatedAt] = { $ifNull: [`$${updatedAt}`, `$${createdAt}`, idDate] }
+  }
+  if (authorship && fallbackUser) {
+    $set[createdBy] = { $ifNull: [`$${createdBy}`, fallbackUser] }
+  }
+  const names = Object.keys($set)
+  if (!names.length) return null
+  return {
+    query: { $or: names.map(f => ({ [f]: null })) },
+    update: [{ $set }]
+  }
+}
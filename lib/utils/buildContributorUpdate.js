@@ -0,0 +1,16 @@
+/**
+ * Builds the update operators which record an edit by a contributor: the user is added to
+ * `contributors`, and their last-edit time and edit count in `contributorActivity` are updated
+ * @param {String} userId The contributing user
+ * @param {String} date ISO date of the edit
+ * @param {Number} edits Number of edits to record
+ * @return {Object} The update operators
+ */
+export default function buildContributorUpdate (userId, date, edits = 1) {
+  const key = `contributorActivity.${userId}`
+  return {
+    $addToSet: { contributors: userId },
+    $set: { [`${key}.lastEditedAt`]: date },
+    $inc: { [`${key}.edits`]: edits }
+  }
+}
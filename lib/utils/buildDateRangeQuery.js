@@ -0,0 +1,14 @@
+/**
+ * Builds a query matching a date field against a range, whether the field is stored as a Date (as writes made
+ * through the API store it) or as an ISO string (as imported and older documents may). MongoDB only compares
+ * values of the same type, so each is matched separately.
+ * @param {String} field Name of the date field
+ * @param {Object} range Comparison operators (e.g. `$gte`, `$lt`) mapped to the dates to compare with; undefined
+ * values are ignored
+ * @return {Object} The query
+ */
+export default function buildDateRangeQuery (field, range) {
+  const ops = Object.entries(range).filter(([, v]) => v !== undefined)
+  const query = toValue => ({ [field]: Object.fromEntries(ops.map(([op, v]) => [op, toValue(new Date(v))])) })
+  return { $or: [query(d => d), query(d => d.toISOString())] }
+}
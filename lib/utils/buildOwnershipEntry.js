@@ -0,0 +1,13 @@
+/**
+ * Builds an entry for a document's ownership history
+ * @param {Object} change
+ * @param {String} change.action The kind of change (e.g. transfer, addOwner, removeOwner, promote)
+ * @param {String|Object} [change.previousOwner] The owner losing ownership (may be an aggregation expression)
+ * @param {String|Object} [change.newOwner] The owner gaining ownership (may be an aggregation expression)
+ * @param {String} [change.actor] The user who made the change
+ * @param {String} [change.reason] Why the change was made
+ * @return {Object} The history entry
+ */
+export default function buildOwnershipEntry ({ action, previousOwner = null, newOwner = null, actor = null, reason = null }) {
+  return { action, previousOwner, newOwner, actor, reason, timestamp: new Date().toISOString() }
+}
@@ -1,3 +1,5 @@
+import buildDateRangeQuery from './buildDateRangeQuery.js'
+
 /**
  * Builds an aggregation pipeline returning the most-recently-changed documents
  * across several collections, newest first. The first collection is the
@@ -6,11 +8,45 @@
  * @param {Object} options
  * @param {Number} options.limit Maximum number of rows to return
  * @param {Object} options.filters Per-collection match query keyed by collection name
- * @return {Array} The aggregation pipeline
+ * @param {Object} options.after Cursor position (`{ updatedAt, _id }`); only rows sorting after it are returned. Matched
+ * in each branch so that earlier pages aren't re-read, except when grouping, where it can only apply to the grouped rows
+ * @param {Boolean} options.details Whether to include each document's title, _type and _courseId
+ * @param {ObjectId|String} options.updatedBy Only include documents last updated by this user (as stored, i.e. an ObjectId)
+ * @param {String} options.from Only include documents updated at or after this ISO date
+ * @param {String} options.to Only include documents updated before this ISO date
+ * @param {String} options.groupBy Set to `course` to return one row per course (`{ _id, title, updatedAt, updatedBy, changes }`),
+ * with the course's most recent change across all collections
+ * @return {Array} The aggregation pipeline. Documents without an updatedAt can't be ordered or paged through, so are left out.
  */
-export default function buildRecentlyChangedPipeline (collections, { limit = 25, filters = {} } = {}) {
+export default function buildRecentlyChangedPipeline (collections, { limit = 25, filters = {}, after, details = false, updatedBy, from, to, groupBy } = {}) {
+  const extra = {}
+  if (updatedBy) extra.updatedBy = updatedBy
+  extra.updatedAt = { $ne: null }
+  if (from || to) Object.assign(extra, buildDateRangeQuery('updatedAt', { $gte: from, $lt: to }))
+
+  let cursor
+  if (after) {
+    // compare as date/string so the cursor works whether updatedAt is stored as a Date or an ISO string; the
+    // plain range lets an updatedAt index bound the scan, the $expr does the exact comparison
+    const updatedAt = { $toDate: '$updatedAt' }
+    const afterDate = new Date(after.updatedAt)
+    cursor = {
+      $or: [{ updatedAt: { $lte: afterDate } }, { updatedAt: { $lte: afterDate.toISOString() } }],
+      $expr: {
+        $or: [
+          { $lt: [updatedAt, afterDate] },
+          { $and: [{ $eq: [updatedAt, afterDate] }, { $lt: [{ $toString: '$_id' }, String(after._id)] }] }
+        ]
+      }
+    }
+  }
+  const match = name => {
+    const clauses = [filters[name] ?? {}, extra]
+    if (cursor && groupBy !== 'course') clauses.push(cursor)
+    return { $and: clauses }
+  }
   const branch = name => [
-    { $match: filters[name] ?? {} },
+    { $match: match(name) },
     {
       $project: {
         _id: 1,
@@ -18,15 +54,44 @@ export default function buildRecentlyChangedPipeline (collections, { limit = 25,
         createdAt: 1,
         updatedAt: 1,
         createdBy: 1,
-        updatedBy: 1
+        updatedBy: 1,
+        ...(details && { title: 1, _type: 1 }),
+        ...((details || groupBy === 'course') && { _courseId: 1 })
       }
     }
   ]
   const [base, ...rest] = collections
-  return [
+  const pipeline = [
     ...branch(base),
-    ...rest.map(name => ({ $unionWith: { coll: name, pipeline: branch(name) } })),
-    { $sort: { updatedAt: -1 } },
-    { $limit: limit }
+    ...rest.map(name => ({ $unionWith: { coll: name, pipeline: branch(name) } }))
   ]
+  const sort = { $sort: { updatedAt: -1, _id: -1 } }
+  if (groupBy === 'course') {
+    pipeline.push(
+      { $match: { _courseId: { $ne: null } } },
+      sort,
+      {
+        $group: {
+          _id: '$_courseId',
+          updatedAt: { $first: '$updatedAt' },
+          updatedBy: { $first: '$updatedBy' },
+          changes: { $sum: 1 }
+        }
+      }
+    )
+  }
+  if (cursor && groupBy === 'course') {
+    // a course's latest change may be newer than the cursor while some of its changes are older,
+    // so only the grouped rows can be compared
+    pipeline.push({ $match: { $expr: cursor.$expr } })
+  }
+  pipeline.push(sort, { $limit: limit })
+  if (groupBy === 'course') {
+    pipeline.push(
+      { $lookup: { from: 'content', localField: '_id', foreignField: '_id', pipeline: [{ $project: { title: 1 } }], as: 'course' } },
+      { $set: { title: { $first: '$course.title' } } },
+      { $unset: 'course' }
+    )
+  }
+  return pipeline
 }
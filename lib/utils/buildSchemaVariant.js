@@ -0,0 +1,33 @@
+/**
+ * Builds a variant of the authored schema extension for a module registered with non-default options: the
+ * timestamp and/or authorship properties are dropped when disabled, and the remaining authored fields renamed
+ * @param {Object} schema The authored schema extension
+ * @param {String} anchor $anchor of the variant
+ * @param {Object} options
+ * @param {Boolean} [options.timestamps=true] Whether to keep createdAt/updatedAt/editedAt
+ * @param {Boolean} [options.authorship=true] Whether to keep createdBy/updatedBy
+ * @param {Object} [options.fields] Map of authored field name to the name it's stored under
+ * @return {Object}
+ */
+export default function buildSchemaVariant (schema, anchor, { timestamps = true, authorship = true, fields = {} } = {}) {
+  const omitted = [
+    ...(timestamps ? [] : ['createdAt', 'updatedAt', 'editedAt']),
+    ...(authorship ? [] : ['createdBy', 'updatedBy'])
+  ]
+  const rename = name => fields[name] ?? name
+  const { properties = {}, required = [], ...extension } = schema.$merge.with
+  return {
+    ...schema,
+    $anchor: anchor,
+    $merge: {
+      ...schema.$merge,
+      with: {
+        ...extension,
+        properties: Object.fromEntries(Object.entries(properties)
+          .filter(([name]) => !omitted.includes(name))
+          .map(([name, property]) => [rename(name), property])),
+        required: required.filter(name => !omitted.includes(name)).map(rename)
+      }
+    }
+  }
+}
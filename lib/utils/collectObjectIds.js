@@ -0,0 +1,19 @@
+/**
+ * Collects every ObjectId-like value (an ObjectId, or a 24 character hex string) found anywhere in a value, e.g. to
+ * find the assets referenced by content
+ * @param {*} value The value to search (objects and arrays are searched recursively)
+ * @param {Set<String>} [ids] Set to add the ids to
+ * @return {Set<String>} The ids found, as strings
+ */
+export default function collectObjectIds (value, ids = new Set()) {
+  if (typeof value === 'string') {
+    if (/^[a-f\d]{24}$/i.test(value)) ids.add(value.toLowerCase())
+  } else if (value?._bsontype === 'ObjectId') {
+    ids.add(value.toString())
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectObjectIds(v, ids))
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.values(value).forEach(v => collectObjectIds(v, ids))
+  }
+  return ids
+}
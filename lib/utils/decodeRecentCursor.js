@@ -0,0 +1,11 @@
+/**
+ * Decodes a cursor created by `encodeRecentCursor`
+ * @param {String} cursor
+ * @return {Object|undefined} The cursor position (`{ updatedAt, _id }`), or undefined if the cursor is invalid
+ */
+export default function decodeRecentCursor (cursor) {
+  try {
+    const { updatedAt, _id } = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (typeof _id === 'string' && typeof updatedAt === 'string' && !isNaN(new Date(updatedAt).getTime())) return { updatedAt, _id }
+  } catch (e) {}
+}
@@ -0,0 +1,9 @@
+/**
+ * Encodes the position of a recently-changed row as an opaque pagination cursor
+ * @param {Object} row Row returned by the recently-changed pipeline
+ * @return {String} The cursor
+ */
+export default function encodeRecentCursor ({ updatedAt, _id }) {
+  const data = { updatedAt: new Date(updatedAt).toISOString(), _id: String(_id) }
+  return Buffer.from(JSON.stringify(data)).toString('base64url')
+}
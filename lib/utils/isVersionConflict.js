@@ -0,0 +1,34 @@
+/**
+ * Checks whether a document has been modified since the version a client expects to be updating. As the
+ * version a client loaded may have been bumped since the document's last edit, only edits made after it count.
+ * @param {Object} expected The expected version, as one of:
+ * @param {Array<String>} [expected.etags] Entity tags from an If-Match header (see `toETag`)
+ * @param {Number} [expected.unmodifiedSince] Time in ms from an If-Unmodified-Since header (only has second precision)
+ * @param {String} [expected.updatedAt] The updatedAt value the client loaded
+ * @param {String|Date} editedAt When the document was last edited
+ * @return {Boolean}
+ */
+export default function isVersionConflict ({ etags, unmodifiedSince, updatedAt: expectedUpdatedAt }, editedAt) {
+  if (!editedAt) return false
+  const current = new Date(editedAt).getTime()
+  if (etags) {
+    return !etags.some(t => t === '*' || getETagTime(t) >= current)
+  }
+  if (unmodifiedSince !== undefined) {
+    return Math.floor(current / 1000) > Math.floor(unmodifiedSince / 1000)
+  }
+  if (expectedUpdatedAt !== undefined) {
+    return current > new Date(expectedUpdatedAt).getTime()
+  }
+  return false
+}
+
+/**
+ * Returns the last-modified time an entity tag was generated from
+ * @param {String} etag
+ * @return {Number} Time in ms (NaN for tags not generated by `toETag`)
+ */
+function getETagTime (etag) {
+  const [, time] = etag.match(/^(?:W\/)?"(\d+)/) ?? []
+  return Number(time ?? NaN)
+}
@@ -0,0 +1,15 @@
+import { createHash } from 'node:crypto'
+
+/**
+ * Generates the entity tag for a document (or set of documents) from its last-modified time and, when given,
+ * its content. The time lets the tag be checked against a document's edits (see `isVersionConflict`), and the
+ * content hash changes the tag for changes which don't touch updatedAt (e.g. ownership, contributors and locks)
+ * @param {String|Date} updatedAt The last-modified time (the newest, for a set of documents)
+ * @param {*} [data] The data being sent
+ * @return {String} The quoted entity tag
+ */
+export default function toETag (updatedAt, data) {
+  const time = new Date(updatedAt).getTime()
+  if (data === undefined) return `"${time}"`
+  return `"${time}-${createHash('sha1').update(JSON.stringify(data)).digest('base64url')}"`
+}
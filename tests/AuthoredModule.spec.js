@@ -1,6 +1,13 @@
 import { describe, it, mock, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { parseObjectId } from 'adapt-authoring-mongodb'
 import AuthoredModule from '../lib/AuthoredModule.js'
+import { decodeRecentCursor, encodeRecentCursor, toETag } from '../lib/utils.js'
 
 /**
  * Creates a mock DataCache that returns the given data from get()
@@ -23,7 +30,12 @@ function createInstance (overrides = {}) {
   }
   const mockApp = {
     waitForModule: mock.fn(async () => mockJsonschema),
+    config: { get: mock.fn() },
     errors: {
+      DOCUMENT_LOCKED: {
+        setData: mock.fn(function () { return this }),
+        message: 'Document locked'
+      },
       DUPL_AUTHORED_MODULE_NAME: {
         setData: mock.fn(function () { return this }),
         message: 'Duplicate module'
@@ -35,6 +47,38 @@ function createInstance (overrides = {}) {
       INVALID_CREATED_BY: {
         setData: mock.fn(function () { return this }),
         message: 'Invalid createdBy'
+      },
+      INVALID_OWNER: {
+        setData: mock.fn(function () { return this }),
+        message: 'Invalid owner'
+      },
+      INVALID_PARAMS: {
+        setData: mock.fn(function () { return this }),
+        message: 'Invalid params'
+      },
+      INVALID_TRANSFER_TARGET: {
+        setData: mock.fn(function () { return this }),
+        message: 'Invalid transfer target'
+      },
+      NOT_DOCUMENT_OWNER: {
+        setData: mock.fn(function () { return this }),
+        message: 'Not owner'
+      },
+      NOT_FOUND: {
+        setData: mock.fn(function () { return this }),
+        message: 'Not found'
+      },
+      USER_OWNS_CONTENT: {
+        setData: mock.fn(function () { return this }),
+        message: 'User owns content'
+      },
+      REVISION_NOT_RESTORABLE: {
+        setData: mock.fn(function () { return this }),
+        message: 'Revision not restorable'
+      },
+      UPDATE_CONFLICT: {
+        setData: mock.fn(function () { return this }),
+        message: 'Update conflict'
       }
     },
     dependencyloader: {
@@ -59,8 +103,16 @@ function createInstance (overrides = {}) {
   // Manually set properties that init() would set
   instance.schemaName = 'authored'
   instance.registeredModules = []
+  instance.moduleOptions = new Map()
+  instance.requestContext = new AsyncLocalStorage()
   instance.userCache = createMockCache()
   instance.courseCache = createMockCache()
+  instance.parentCache = createMockCache()
+  instance.pendingCourseTimestamps = new Map()
+  instance.changeSubscribers = new Set()
+  instance.changedHook = { invoke: mock.fn(async () => {}) }
+  instance.ownershipTransferredHook = { invoke: mock.fn(async () => {}) }
+  instance.courseTouchedHook = { invoke: mock.fn(async () => {}) }
 
   return { instance, mockApp, mockJsonschema }
 }
@@ -74,6 +126,9 @@ function createMockMod (opts = {}) {
     preInsertHook: { tap: mock.fn() },
     preUpdateHook: { tap: mock.fn() },
     preDeleteHook: { tap: mock.fn() },
+    postInsertHook: { tap: mock.fn() },
+    postUpdateHook: { tap: mock.fn() },
+    postDeleteHook: { tap: mock.fn() },
     accessCheckHook: { tap: mock.fn() },
     accessQueryHook: { tap: mock.fn() }
   }
@@ -128,14 +183,16 @@ describe('AuthoredModule', () => {
       assert.equal(mod.preDeleteHook.tap.mock.calls.length, 1)
     })
 
-    it('should pass the instance as scope to requestHook.tap', async () => {
+    it('should pass the module to updateAuthor from requestHook', async () => {
       const { instance } = createInstance()
       const mod = createMockMod()
+      instance.updateAuthor = mock.fn(async () => {})
 
       await instance.registerModule(mod)
+      const req = { apiData: {} }
+      await mod.requestHook.tap.mock.calls[0].arguments[0](req)
 
-      const tapCall = mod.requestHook.tap.mock.calls[0]
-      assert.equal(tapCall.arguments[1], instance)
+      assert.deepEqual(instance.updateAuthor.mock.calls[0].arguments, [req, mod])
     })
 
     it('should throw when registering a duplicate module', async () => {
@@ -198,6 +255,76 @@ describe('AuthoredModule', () => {
       assert.equal(mod.accessQueryHook.tap.mock.calls.length, 0)
     })
 
+    it('should not record revisions by default', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      instance.recordRevision = mock.fn(async () => {})
+
+      await instance.registerModule(mod)
+      await Promise.all(mod.postInsertHook.tap.mock.calls.map(c => c.arguments[0]({ _id: 'd1' })))
+      await Promise.all(mod.postUpdateHook.tap.mock.calls.map(c => c.arguments[0]({ _id: 'd1' }, { _id: 'd1' })))
+      await Promise.all(mod.postDeleteHook.tap.mock.calls.map(c => c.arguments[0]({ _id: 'd1' })))
+
+      assert.equal(instance.recordRevision.mock.calls.length, 0)
+    })
+
+    it('should record creator changes from the post-update hook', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      await instance.registerModule(mod)
+      instance.recordCreatorChange = mock.fn(async () => {})
+
+      await mod.postUpdateHook.tap.mock.calls[0].arguments[0]({ _id: 'd1', createdBy: 'u1' }, { _id: 'd1', createdBy: 'u2' })
+
+      assert.deepEqual(instance.recordCreatorChange.mock.calls[0].arguments, [mod, { _id: 'd1', createdBy: 'u1' }, { _id: 'd1', createdBy: 'u2' }, 'createdBy'])
+    })
+
+    it('should record revisions from the post-write hooks when revisions is true', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      await instance.registerModule(mod, { revisions: true })
+      instance.recordRevision = mock.fn(async () => {})
+
+      await mod.postInsertHook.tap.mock.calls[0].arguments[0]({ _id: 'd1' })
+      await mod.postUpdateHook.tap.mock.calls[1].arguments[0]({ _id: 'd1', v: 1 }, { _id: 'd1', v: 2 })
+      await mod.postDeleteHook.tap.mock.calls[0].arguments[0]({ _id: 'd1', v: 2 })
+
+      const calls = instance.recordRevision.mock.calls.map(c => c.arguments)
+      assert.deepEqual(calls, [
+        [mod, 'insert', null, { _id: 'd1' }],
+        [mod, 'update', { _id: 'd1', v: 1 }, { _id: 'd1', v: 2 }],
+        [mod, 'delete', { _id: 'd1', v: 2 }, null]
+      ])
+    })
+
+    it('should soft delete documents when softDelete is true', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      await instance.registerModule(mod, { softDelete: true })
+      instance.softDelete = mock.fn(async () => {})
+
+      await mod.postDeleteHook.tap.mock.calls[0].arguments[0]({ _id: 'd1' })
+
+      assert.deepEqual(instance.softDelete.mock.calls[0].arguments, [mod, { _id: 'd1' }])
+      assert.equal(instance.moduleOptions.get(mod).softDelete, true)
+    })
+
+    it('should record contributors from the post-write hooks when trackContributors is enabled', async () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.config.get = mock.fn(key => key.endsWith('.trackContributors'))
+      const mod = createMockMod()
+      await instance.registerModule(mod)
+      instance.recordContributor = mock.fn(async () => {})
+
+      await mod.postInsertHook.tap.mock.calls[0].arguments[0]({ _id: 'd1' })
+      await mod.postUpdateHook.tap.mock.calls[1].arguments[0]({ _id: 'd1', v: 1 }, { _id: 'd1', v: 2 })
+
+      assert.deepEqual(instance.recordContributor.mock.calls.map(c => c.arguments), [
+        [mod, { _id: 'd1' }],
+        [mod, { _id: 'd1', v: 2 }]
+      ])
+    })
+
     it('should call registerSchemas after registering', async () => {
       const { instance, mockJsonschema } = createInstance()
       const mod = createMockMod({ schemaName: 'testSchema' })
@@ -235,16 +362,31 @@ describe('AuthoredModule', () => {
       assert.deepEqual(instance.courseCache.get.mock.calls[0].arguments[0], { _type: 'course', _courseId: 'course1' })
     })
 
-    it('should bump the course with only the course id on delete (no stale updatedBy)', async () => {
+    it('should not bump a course for an update to the course itself', async () => {
       const { instance } = createInstance()
       const mod = createMockMod()
       await instance.registerModule(mod)
       instance.updateCourseTimestamp = mock.fn(async () => {})
+      const updateData = { title: 'x' }
+
+      const onUpdate = mod.preUpdateHook.tap.mock.calls[0].arguments[0]
+      await onUpdate({ _id: 'c1', _courseId: 'c1' }, updateData)
+
+      assert.equal(instance.updateCourseTimestamp.mock.calls[0].arguments[0]._courseId, null)
+      assert.ok(updateData.updatedAt)
+    })
+
+    it('should bump the course with the acting user on delete (no stale updatedBy)', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      await instance.registerModule(mod)
+      instance.updateCourseTimestamp = mock.fn(async () => {})
+      instance.getActor = mock.fn(() => 'deleter')
 
       const onDelete = mod.preDeleteHook.tap.mock.calls[0].arguments[0]
-      await onDelete({ _courseId: 'course1', updatedBy: 'oldEditor' })
+      await onDelete({ _courseId: 'course1', _parentId: 'p1', updatedBy: 'oldEditor' })
 
-      assert.deepEqual(instance.updateCourseTimestamp.mock.calls[0].arguments[0], { _courseId: 'course1' })
+      assert.deepEqual(instance.updateCourseTimestamp.mock.calls[0].arguments[0], { _courseId: 'course1', _parentId: 'p1', updatedBy: 'deleter' })
     })
   })
 
@@ -262,14 +404,20 @@ describe('AuthoredModule', () => {
     it('should not grant when the resource has no createdBy', () => {
       assert.equal(grant({ auth: { user: { _id: 'u1' } } }, {}), false)
     })
+    it('should grant access to a co-owner', () => {
+      assert.equal(grant({ auth: { user: { _id: 'u2' } } }, { createdBy: 'u1', owners: ['u3', 'u2'] }), true)
+    })
+    it('should not grant access to a user who is not a co-owner', () => {
+      assert.equal(grant({ auth: { user: { _id: 'u4' } } }, { createdBy: 'u1', owners: ['u3', 'u2'] }), false)
+    })
   })
 
   describe('#grantCreatorQuery()', () => {
     const grant = AuthoredModule.prototype.grantCreatorQuery
-    it('should widen the query with the creator id', () => {
+    it('should widen the query with the creator and co-owner id', () => {
       const query = {}
       grant({ auth: { user: { _id: 'u1' } }, apiData: { query } })
-      assert.deepEqual(query.$or, [{ createdBy: 'u1' }])
+      assert.deepEqual(query.$or, [{ createdBy: 'u1' }, { owners: 'u1' }])
     })
     it('should be a no-op when unauthenticated', () => {
       const query = {}
@@ -501,6 +649,83 @@ describe('AuthoredModule', () => {
       assert.equal(inst.userCache.get.mock.calls.length, 0)
     })
 
+    it('should strip co-owners from non-POST requests', async () => {
+      const req = {
+        method: 'PATCH',
+        apiData: { modifying: true, data: { owners: ['u9'] } },
+        auth: { user: { _id: { toString: () => 'user123' } } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.equal(req.apiData.data.owners, undefined)
+    })
+
+    it('should strip ownership history from all requests', async () => {
+      const req = {
+        method: 'POST',
+        apiData: { modifying: true, data: { ownershipHistory: [{ action: 'transfer' }] } },
+        auth: { user: { _id: { toString: () => 'user123' } } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.equal(req.apiData.data.ownershipHistory, undefined)
+    })
+
+    it('should strip contributors from all requests', async () => {
+      const req = {
+        method: 'PATCH',
+        apiData: { modifying: true, data: { contributors: ['u9'], contributorActivity: { u9: { edits: 99 } } } },
+        auth: { user: { _id: { toString: () => 'user123' } } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.equal(req.apiData.data.contributors, undefined)
+      assert.equal(req.apiData.data.contributorActivity, undefined)
+    })
+
+    it('should strip the server-side import flag', async () => {
+      const req = {
+        method: 'POST',
+        apiData: { modifying: true, data: { _authoredImport: true } },
+        auth: { user: { _id: { toString: () => 'user123' } } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.equal(req.apiData.data._authoredImport, undefined)
+    })
+
+    it('should keep the supplied authors for requests with the import scope', async () => {
+      instance.userCache = createMockCache([])
+      const req = {
+        method: 'POST',
+        apiData: { modifying: true, data: { createdBy: 'unknown', updatedBy: 'editor' } },
+        auth: { user: { _id: { toString: () => 'user123' } }, scopes: ['import:authored'] }
+      }
+
+      await assert.doesNotReject(() => instance.updateAuthor(req))
+
+      assert.equal(req.apiData.importing, true)
+      assert.equal(req.apiData.data.createdBy, 'unknown')
+      assert.equal(req.apiData.data.updatedBy, 'editor')
+      assert.equal(instance.userCache.get.mock.calls.length, 0)
+    })
+
+    it('should only put POST requests into import mode', async () => {
+      const req = {
+        method: 'PATCH',
+        apiData: { modifying: true, data: {} },
+        auth: { user: { _id: { toString: () => 'user123' } }, scopes: ['import:authored'] }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.equal(req.apiData.importing, false)
+    })
+
     it('should not validate createdBy on non-POST requests when createdBy is absent', async () => {
       const { instance: inst } = createInstance()
       const req = {
@@ -605,6 +830,33 @@ describe('AuthoredModule', () => {
       assert.ok(instance.courseCache.get.mock.calls.length > 0)
     })
 
+    it('should attribute unattributed writes to the acting user', async () => {
+      instance.getActor = mock.fn(() => 'actor1')
+      const data = {}
+      await instance.updateTimestamps('insert', data)
+
+      assert.equal(data.createdBy, 'actor1')
+      assert.equal(data.updatedBy, 'actor1')
+    })
+
+    it('should not overwrite existing attribution with the acting user', async () => {
+      instance.getActor = mock.fn(() => 'actor1')
+      const data = { createdBy: 'creator', updatedBy: 'editor' }
+      await instance.updateTimestamps('insert', data)
+
+      assert.equal(data.createdBy, 'creator')
+      assert.equal(data.updatedBy, 'editor')
+    })
+
+    it('should not set createdBy on update', async () => {
+      instance.getActor = mock.fn(() => 'actor1')
+      const data = {}
+      await instance.updateTimestamps('update', data)
+
+      assert.equal(data.createdBy, undefined)
+      assert.equal(data.updatedBy, 'actor1')
+    })
+
     it('should thread updatedBy from the write data through to the course bump', async () => {
       instance.courseCache = createMockCache([{ _id: 'course1' }])
       await instance.updateTimestamps('update', { _courseId: 'course1', updatedBy: 'editor9' })
@@ -614,6 +866,150 @@ describe('AuthoredModule', () => {
     })
   })
 
+  describe('importing', () => {
+    const createdAt = '2020-01-01T00:00:00.000Z'
+    const updatedAt = '2021-01-01T00:00:00.000Z'
+
+    function setup ({ users = ['u1', 'u2'], config = {} } = {}) {
+      const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => ({ update: mock.fn(async () => {}) })) })
+      mockApp.config.get = mock.fn(key => config[key.split('.').pop()])
+      instance.userCache = { get: mock.fn(async ({ _id }) => users.includes(_id) ? [{ _id }] : []) }
+      instance.log = mock.fn()
+      return { instance }
+    }
+
+    it('should keep supplied metadata when the import flag is set, and strip the flag', async () => {
+      const { instance } = setup()
+      const data = { _authoredImport: true, createdAt, updatedAt, createdBy: 'u1', updatedBy: 'u2' }
+
+      await instance.updateTimestamps('insert', data)
+
+      assert.deepEqual(data, { createdAt, updatedAt, editedAt: updatedAt, createdBy: 'u1', updatedBy: 'u2' })
+    })
+
+    it('should keep a supplied editedAt when importing', async () => {
+      const { instance } = setup()
+      const data = { _authoredImport: true, createdAt, updatedAt, editedAt: createdAt }
+
+      await instance.updateTimestamps('insert', data)
+
+      assert.equal(data.editedAt, createdAt)
+    })
+
+    it('should stamp editedAt with updatedAt outside of import mode', async () => {
+      const { instance } = setup()
+      const data = { editedAt: createdAt }
+
+      await instance.updateTimestamps('update', data)
+
+      assert.equal(data.editedAt, data.updatedAt)
+    })
+
+    it('should keep supplied metadata for the data of a request in import mode', async () => {
+      const { instance } = setup()
+      const data = { createdAt, updatedAt, createdBy: 'u1', updatedBy: 'u2' }
+      const req = { method: 'POST', apiData: { data, importing: true }, auth: { user: { _id: 'importer' }, scopes: ['import:authored'] } }
+
+      await instance.requestContext.run({ req }, () => instance.updateTimestamps('insert', data))
+
+      assert.equal(data.createdAt, createdAt)
+      assert.equal(data.updatedAt, updatedAt)
+    })
+
+    it('should not import other data inserted while handling a request in import mode', async () => {
+      const { instance } = setup()
+      const data = { createdAt, updatedAt, createdBy: 'u1', updatedBy: 'u2' }
+      const req = { method: 'POST', apiData: { data: {}, importing: true }, auth: { user: { _id: 'importer' }, isSuper: true, scopes: [] } }
+
+      await instance.requestContext.run({ req }, () => instance.updateTimestamps('insert', data))
+
+      assert.notEqual(data.createdAt, createdAt)
+      assert.notEqual(data.updatedAt, updatedAt)
+    })
+
+    it('should overwrite supplied timestamps outside of import mode', async () => {
+      const { instance } = setup()
+      const data = { createdAt, updatedAt }
+
+      await instance.updateTimestamps('insert', data)
+
+      assert.notEqual(data.createdAt, createdAt)
+      assert.notEqual(data.updatedAt, updatedAt)
+    })
+
+    it('should fill in missing timestamps', async () => {
+      const { instance } = setup()
+      const data = { _authoredImport: true, updatedAt }
+
+      await instance.updateTimestamps('insert', data)
+
+      assert.equal(data.createdAt, updatedAt)
+    })
+
+    it('should map unknown authors to the configured fallback user', async () => {
+      const { instance } = setup({ config: { importFallbackUser: 'fallback' } })
+      const data = { _authoredImport: true, createdBy: 'gone', updatedBy: 'u2' }
+
+      await instance.updateTimestamps('insert', data)
+
+      assert.equal(data.createdBy, 'fallback')
+      assert.equal(data.updatedBy, 'u2')
+    })
+
+    it('should map unknown authors to the importing user when no fallback is configured', async () => {
+      const { instance } = setup()
+      const data = { createdBy: 'gone', updatedBy: 'gone' }
+      const req = { method: 'POST', apiData: { data, importing: true }, auth: { user: { _id: 'importer' }, scopes: ['import:authored'] } }
+
+      await instance.requestContext.run({ req }, () => instance.updateTimestamps('insert', data))
+
+      assert.equal(data.createdBy, 'importer')
+      assert.equal(data.updatedBy, 'importer')
+    })
+  })
+
+  describe('#getActor()', () => {
+    it('should return the authenticated user of the current request', () => {
+      const { instance } = createInstance()
+      const req = { auth: { user: { _id: { toString: () => 'u1' } } } }
+
+      const actor = instance.requestContext.run({ req }, () => instance.getActor())
+
+      assert.equal(actor, 'u1')
+    })
+
+    it('should carry the request user across async boundaries', async () => {
+      const { instance } = createInstance()
+      const req = { auth: { user: { _id: 'u1' } } }
+
+      const actor = await instance.requestContext.run({ req }, async () => {
+        await new Promise(resolve => setImmediate(resolve))
+        return instance.getActor()
+      })
+
+      assert.equal(actor, 'u1')
+    })
+
+    it('should fall back to the configured system actor outside of a request', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.config.get = mock.fn(key => key.endsWith('.systemActorId') ? 'system' : undefined)
+
+      assert.equal(instance.getActor(), 'system')
+    })
+
+    it('should fall back to the configured system actor for unauthenticated requests', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.config.get = mock.fn(key => key.endsWith('.systemActorId') ? 'system' : undefined)
+
+      assert.equal(instance.requestContext.run({ req: { auth: {} } }, () => instance.getActor()), 'system')
+    })
+
+    it('should return undefined when there is no actor', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getActor(), undefined)
+    })
+  })
+
   describe('#updateCourseTimestamp()', () => {
     it('should update course timestamp when course exists', async () => {
       const mockMongodb = { update: mock.fn(async () => {}) }
@@ -686,70 +1082,3221 @@ describe('AuthoredModule', () => {
       assert.equal($set.updatedBy, 'editor9')
     })
 
-    it('should not stamp updatedBy on the course when absent (e.g. deletes)', async () => {
+    it('should stamp the acting user on the course when updatedBy is not provided', async () => {
       const mockMongodb = { update: mock.fn(async () => {}) }
       const { instance } = createInstance({
         waitForModule: mock.fn(async () => mockMongodb)
       })
       instance.courseCache = createMockCache([{ _id: 'course1' }])
+      instance.getActor = mock.fn(() => 'actor1')
 
       await instance.updateCourseTimestamp({ _courseId: 'course1' })
 
       const { $set } = mockMongodb.update.mock.calls[0].arguments[2]
-      assert.ok($set.updatedAt)
-      assert.equal('updatedBy' in $set, false)
+      assert.equal($set.updatedBy, 'actor1')
     })
-  })
 
-  describe('#getRecentlyChanged()', () => {
-    function createMongodbMock (rows = []) {
-      const toArray = mock.fn(async () => rows)
-      const aggregate = mock.fn(() => ({ toArray }))
-      const getCollection = mock.fn(() => ({ aggregate }))
-      return { getCollection, aggregate, toArray }
-    }
+    it('should roll the contributor up to the course when trackContributors is enabled', async () => {
+      const mockMongodb = { update: mock.fn(async () => {}) }
+      const { instance, mockApp } = createInstance({
+        waitForModule: mock.fn(async () => mockMongodb)
+      })
+      mockApp.config.get = mock.fn(key => key.endsWith('.trackContributors'))
+      instance.courseCache = createMockCache([{ _id: 'course1' }])
 
-    it('should return an empty array when no modules are registered', async () => {
-      const { instance } = createInstance()
-      instance.registeredModules = []
+      await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'editor9' })
 
-      assert.deepEqual(await instance.getRecentlyChanged(), [])
+      const update = mockMongodb.update.mock.calls[0].arguments[2]
+      assert.deepEqual(update.$addToSet, { contributors: 'editor9' })
+      assert.deepEqual(update.$inc, { 'contributorActivity.editor9.edits': 1 })
+      assert.equal(update.$set.updatedBy, 'editor9')
+      assert.equal(update.$set['contributorActivity.editor9.lastEditedAt'], update.$set.updatedAt)
     })
 
-    it('should aggregate over the registered collections and return the rows', async () => {
-      const mongodb = createMongodbMock([{ _id: 'a', collection: 'content' }])
-      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
-      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }]
+    it('should not roll up contributors when trackContributors is disabled', async () => {
+      const mockMongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({
+        waitForModule: mock.fn(async () => mockMongodb)
+      })
+      instance.courseCache = createMockCache([{ _id: 'course1' }])
 
-      const rows = await instance.getRecentlyChanged({ limit: 10 })
+      await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'editor9' })
 
-      assert.deepEqual(rows, [{ _id: 'a', collection: 'content' }])
-      assert.equal(mongodb.getCollection.mock.calls[0].arguments[0], 'content')
-      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
-      assert.equal(pipeline.filter(s => s.$unionWith).length, 1)
-      assert.deepEqual(pipeline.at(-1), { $limit: 10 })
+      assert.deepEqual(Object.keys(mockMongodb.update.mock.calls[0].arguments[2]), ['$set'])
     })
 
-    it('should pass per-collection filters into the pipeline', async () => {
-      const mongodb = createMongodbMock()
-      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
-      instance.registeredModules = [{ collectionName: 'content' }]
+    it('should not stamp updatedBy on the course when no actor is known', async () => {
+      const mockMongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({
+        waitForModule: mock.fn(async () => mockMongodb)
+      })
+      instance.courseCache = createMockCache([{ _id: 'course1' }])
 
-      await instance.getRecentlyChanged({ filters: { content: { _type: 'course' } } })
+      await instance.updateCourseTimestamp({ _courseId: 'course1' })
 
-      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
-      assert.deepEqual(pipeline[0].$match, { _type: 'course' })
+      const { $set } = mockMongodb.update.mock.calls[0].arguments[2]
+      assert.ok($set.updatedAt)
+      assert.equal('updatedBy' in $set, false)
     })
 
-    it('should ignore registered modules without a collectionName', async () => {
-      const mongodb = createMongodbMock()
-      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
-      instance.registeredModules = [{ collectionName: 'content' }, { schemaName: 'noCollection' }]
+    describe('with courseTimestampDelay set', () => {
+      function setup () {
+        const mockMongodb = { update: mock.fn(async () => {}) }
+        const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mockMongodb) })
+        mockApp.config.get = mock.fn(key => {
+          if (key.endsWith('.courseTimestampDelay')) return 1000
+          return key.endsWith('.trackContributors')
+        })
+        instance.courseCache = createMockCache([{ _id: 'course1' }])
+        return { instance, mockMongodb }
+      }
 
-      await instance.getRecentlyChanged()
+      it('should coalesce bumps to the same course into a single write', async () => {
+        const { instance, mockMongodb } = setup()
 
-      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
-      assert.equal(pipeline.filter(s => s.$unionWith).length, 0)
+        for (let i = 0; i < 100; i++) {
+          await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: i < 60 ? 'u1' : 'u2' })
+        }
+        assert.equal(mockMongodb.update.mock.calls.length, 0)
+
+        await instance.flushCourseTimestamps()
+
+        assert.equal(mockMongodb.update.mock.calls.length, 1)
+        assert.equal(instance.pendingCourseTimestamps.size, 0)
+      })
+
+      it('should write the latest time and actor, with merged contributor counts', async () => {
+        const { instance, mockMongodb } = setup()
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'u1' })
+        await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'u1' })
+        await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'u2' })
+        await instance.flushCourseTimestamps()
+
+        const update = mockMongodb.update.mock.calls[0].arguments[2]
+        assert.equal(update.$set.updatedBy, 'u2')
+        assert.equal(update.$set.updatedAt, update.$set['contributorActivity.u2.lastEditedAt'])
+        assert.deepEqual(update.$addToSet, { contributors: { $each: ['u1', 'u2'] } })
+        assert.deepEqual(update.$inc, { 'contributorActivity.u1.edits': 2, 'contributorActivity.u2.edits': 1 })
+      })
+
+      it('should write each course separately', async () => {
+        const { instance, mockMongodb } = setup()
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1' })
+        await instance.updateCourseTimestamp({ _courseId: 'course2' })
+        await instance.flushCourseTimestamps('course1')
+
+        assert.equal(mockMongodb.update.mock.calls.length, 1)
+        assert.ok(instance.pendingCourseTimestamps.has('course2'))
+      })
+
+      it('should flush once the delay has passed', async () => {
+        const { instance, mockMongodb } = setup()
+        mock.timers.enable({ apis: ['setTimeout'] })
+        try {
+          await instance.updateCourseTimestamp({ _courseId: 'course1' })
+          await instance.updateCourseTimestamp({ _courseId: 'course1' })
+          mock.timers.tick(1000)
+          await new Promise(resolve => setImmediate(resolve))
+        } finally {
+          mock.timers.reset()
+        }
+        assert.equal(mockMongodb.update.mock.calls.length, 1)
+      })
+
+      it('should log rather than throw when a delayed write fails', async () => {
+        const { instance, mockMongodb } = setup()
+        mockMongodb.update = mock.fn(async () => { throw new Error('boom') })
+        instance.log = mock.fn()
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1' })
+        await assert.doesNotReject(() => instance.flushCourseTimestamps())
+
+        assert.equal(instance.log.mock.calls[0].arguments[0], 'error')
+      })
+
+      describe('#handleShutdownSignal()', () => {
+        it('should write pending bumps, then stop the process when nothing else handles the signal', async (t) => {
+          const { instance, mockMongodb } = setup()
+          const exit = t.mock.method(process, 'exit', () => {})
+          t.mock.method(process, 'listenerCount', () => 0)
+
+          await instance.updateCourseTimestamp({ _courseId: 'course1' })
+          await instance.handleShutdownSignal('SIGTERM')
+
+          assert.equal(mockMongodb.update.mock.calls.length, 1)
+          assert.deepEqual(exit.mock.calls[0].arguments, [143])
+        })
+
+        it('should leave stopping the process to the app\'s own signal handlers', async (t) => {
+          const { instance, mockMongodb } = setup()
+          const exit = t.mock.method(process, 'exit', () => {})
+          t.mock.method(process, 'listenerCount', () => 1)
+
+          await instance.updateCourseTimestamp({ _courseId: 'course1' })
+          await instance.handleShutdownSignal('SIGINT')
+
+          assert.equal(mockMongodb.update.mock.calls.length, 1)
+          assert.equal(exit.mock.calls.length, 0)
+        })
+      })
+    })
+
+    describe('with propagateUpdates enabled', () => {
+      function setup (parents) {
+        const bulkWrite = mock.fn(async () => ({}))
+        const mockMongodb = { update: mock.fn(async () => {}), getCollection: mock.fn(() => ({ bulkWrite })) }
+        const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mockMongodb) })
+        mockApp.config.get = mock.fn(key => key.endsWith('.propagateUpdates'))
+        instance.courseCache = createMockCache([{ _id: 'course1' }])
+        instance.parentCache = { get: mock.fn(async ({ _id }) => parents.filter(p => p._id === _id)) }
+        return { instance, mockMongodb, bulkWrite }
+      }
+      const parents = [
+        { _id: 'block1', _type: 'block', _parentId: 'article1' },
+        { _id: 'article1', _type: 'article', _parentId: 'page1' },
+        { _id: 'page1', _type: 'page', _parentId: 'course1' },
+        { _id: 'course1', _type: 'course' }
+      ]
+
+      it('should bump every ancestor and the course in a single bulk write', async () => {
+        const { instance, mockMongodb, bulkWrite } = setup(parents)
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1', _parentId: 'block1', updatedBy: 'editor9' })
+
+        assert.equal(mockMongodb.update.mock.calls.length, 0)
+        assert.equal(bulkWrite.mock.calls.length, 1)
+        const [ancestors, course] = bulkWrite.mock.calls[0].arguments[0]
+        assert.deepEqual(ancestors.updateMany.filter, { _id: { $in: ['block1', 'article1', 'page1'] } })
+        assert.equal(ancestors.updateMany.update.$set.updatedBy, 'editor9')
+        assert.deepEqual(course.updateOne.filter, { _id: 'course1' })
+        assert.equal(course.updateOne.update.$set.updatedAt, ancestors.updateMany.update.$set.updatedAt)
+      })
+
+      it('should write users as ObjectIds, as an update without ancestors would', async () => {
+        const { instance, bulkWrite } = setup(parents)
+        instance.app.config.get = mock.fn(key => key.endsWith('.propagateUpdates') || key.endsWith('.trackContributors'))
+        const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1', _parentId: 'block1', updatedBy: userId })
+
+        const [ancestors, course] = bulkWrite.mock.calls[0].arguments[0]
+        assert.deepEqual(ancestors.updateMany.update.$set.updatedBy, parseObjectId(userId))
+        assert.deepEqual(course.updateOne.update.$set.updatedBy, parseObjectId(userId))
+        assert.deepEqual(course.updateOne.update.$addToSet, { contributors: parseObjectId(userId) })
+      })
+
+      it('should only update the course for its direct children', async () => {
+        const { instance, mockMongodb, bulkWrite } = setup(parents)
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1', _parentId: 'course1' })
+
+        assert.equal(bulkWrite.mock.calls.length, 0)
+        assert.equal(mockMongodb.update.mock.calls.length, 1)
+      })
+
+      it('should stop walking at a parent cycle', async () => {
+        const { instance, bulkWrite } = setup([
+          { _id: 'a', _type: 'block', _parentId: 'b' },
+          { _id: 'b', _type: 'article', _parentId: 'a' }
+        ])
+
+        await instance.updateCourseTimestamp({ _courseId: 'course1', _parentId: 'a' })
+
+        assert.deepEqual(bulkWrite.mock.calls[0].arguments[0][0].updateMany.filter, { _id: { $in: ['a', 'b'] } })
+      })
+    })
+  })
+
+  describe('#getRecentlyChanged()', () => {
+    function createMongodbMock (rows = []) {
+      const toArray = mock.fn(async () => rows)
+      const aggregate = mock.fn(() => ({ toArray }))
+      const getCollection = mock.fn(() => ({ aggregate }))
+      return { getCollection, aggregate, toArray }
+    }
+
+    it('should return an empty array when no modules are registered', async () => {
+      const { instance } = createInstance()
+      instance.registeredModules = []
+
+      assert.deepEqual(await instance.getRecentlyChanged(), [])
+    })
+
+    it('should aggregate over the registered collections and return the rows', async () => {
+      const mongodb = createMongodbMock([{ _id: 'a', collection: 'content' }])
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }]
+
+      const rows = await instance.getRecentlyChanged({ limit: 10 })
+
+      assert.deepEqual(rows, [{ _id: 'a', collection: 'content' }])
+      assert.equal(mongodb.getCollection.mock.calls[0].arguments[0], 'content')
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.equal(pipeline.filter(s => s.$unionWith).length, 1)
+      assert.deepEqual(pipeline.at(-1), { $limit: 10 })
+    })
+
+    it('should pass the cursor position into the pipeline', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      await instance.getRecentlyChanged({ after: { _id: 'b', updatedAt: '2024-01-02T00:00:00.000Z' } })
+
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.ok(pipeline[0].$match.$and[2].$expr)
+    })
+
+    it('should pass per-collection filters into the pipeline', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      await instance.getRecentlyChanged({ filters: { content: { _type: 'course' } } })
+
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.deepEqual(pipeline[0].$match.$and[0], { _type: 'course' })
+    })
+
+    it('should ignore registered modules without a collectionName', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { schemaName: 'noCollection' }]
+
+      await instance.getRecentlyChanged()
+
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.equal(pipeline.filter(s => s.$unionWith).length, 0)
+    })
+
+    it('should only include the requested collections', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }, { collectionName: 'tags' }]
+
+      await instance.getRecentlyChanged({ collections: ['assets', 'tags'] })
+
+      assert.equal(mongodb.getCollection.mock.calls[0].arguments[0], 'assets')
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.deepEqual(pipeline.filter(s => s.$unionWith).map(s => s.$unionWith.coll), ['tags'])
+    })
+
+    it('should pass the detail, user, date and grouping options into the pipeline', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      await instance.getRecentlyChanged({ details: true, updatedBy: 'u1', from: '2024-01-01T00:00:00.000Z', groupBy: 'course' })
+
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.equal(pipeline[1].$project.title, 1)
+      const { updatedBy, $or } = pipeline[0].$match.$and[1]
+      assert.equal(updatedBy, 'u1')
+      assert.deepEqual($or[0], { updatedAt: { $gte: new Date('2024-01-01T00:00:00.000Z') } })
+      assert.ok(pipeline.some(s => s.$group))
+    })
+
+    it('should match the updating user as an ObjectId', async () => {
+      const mongodb = createMongodbMock()
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+      await instance.getRecentlyChanged({ updatedBy: userId })
+
+      const pipeline = mongodb.aggregate.mock.calls[0].arguments[0]
+      assert.deepEqual(pipeline[0].$match.$and[1].updatedBy, parseObjectId(userId))
+    })
+  })
+
+  describe('#getTransferHandler()', () => {
+    it('should respond with the owned summary and counts', async () => {
+      const { instance } = createInstance()
+      instance.userCache = createMockCache([{ _id: 'u1' }])
+      instance.getOwnedSummary = mock.fn(async () => ({ courses: [{ _id: 'c1', title: 'C' }], assets: [] }))
+      instance.getOwnedCounts = mock.fn(async () => ({ content: 3 }))
+      const res = { json: mock.fn() }
+      const next = mock.fn()
+
+      await instance.getTransferHandler({ params: { userId: 'u1' } }, res, next)
+
+      assert.equal(next.mock.calls.length, 0)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], {
+        courses: [{ _id: 'c1', title: 'C' }],
+        assets: [],
+        counts: { content: 3 }
+      })
+    })
+
+    it('should pass NOT_FOUND to next when the user does not exist', async () => {
+      const { instance } = createInstance()
+      instance.userCache = createMockCache([])
+      const res = { json: mock.fn() }
+      const next = mock.fn()
+
+      await instance.getTransferHandler({ params: { userId: 'missing' } }, res, next)
+
+      assert.equal(res.json.mock.calls.length, 0)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+    })
+  })
+
+  describe('#transferHandler()', () => {
+    it('should transfer ownership and respond with the moved counts', async () => {
+      const { instance } = createInstance()
+      instance.userCache = createMockCache([{ _id: 'x' }])
+      instance.transferOwnership = mock.fn(async () => ({ content: 2, assets: 1 }))
+      const res = { json: mock.fn() }
+      const next = mock.fn()
+
+      await instance.transferHandler({ params: { userId: 'u1' }, body: { transferTo: 'u2' } }, res, next)
+
+      assert.equal(next.mock.calls.length, 0)
+      assert.deepEqual(instance.transferOwnership.mock.calls[0].arguments, ['u1', 'u2', { dryRun: false, reason: 'api' }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { content: 2, assets: 1 })
+    })
+
+    it('should pass the dryRun flag through', async () => {
+      const { instance } = createInstance()
+      instance.userCache = createMockCache([{ _id: 'x' }])
+      instance.transferOwnership = mock.fn(async () => ({ dryRun: true, ids: {} }))
+
+      await instance.transferHandler({ params: { userId: 'u1' }, body: { transferTo: 'u2', dryRun: true } }, { json: mock.fn() }, mock.fn())
+
+      assert.equal(instance.transferOwnership.mock.calls[0].arguments[2].dryRun, true)
+    })
+
+    it('should reject a missing transferTo', async () => {
+      const { instance } = createInstance()
+      instance.transferOwnership = mock.fn()
+      const next = mock.fn()
+
+      await instance.transferHandler({ params: { userId: 'u1' }, body: {} }, { json: mock.fn() }, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params')
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+    })
+
+    it('should reject transferring to the same user', async () => {
+      const { instance } = createInstance()
+      instance.transferOwnership = mock.fn()
+      const next = mock.fn()
+
+      await instance.transferHandler({ params: { userId: 'u1' }, body: { transferTo: 'u1' } }, { json: mock.fn() }, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid transfer target')
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+    })
+
+    it('should not transfer when either user does not exist', async () => {
+      const { instance } = createInstance()
+      instance.userCache = createMockCache([])
+      instance.transferOwnership = mock.fn()
+      const next = mock.fn()
+
+      await instance.transferHandler({ params: { userId: 'u1' }, body: { transferTo: 'u2' } }, { json: mock.fn() }, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getAccessFilters()', () => {
+    it('should build each collection filter from the module accessQueryHook', async () => {
+      const { instance } = createInstance()
+      const contentMod = {
+        collectionName: 'content',
+        accessQueryHook: { invoke: mock.fn(async req => instance.grantCreatorQuery(req)) }
+      }
+      const assetsMod = {
+        collectionName: 'assets',
+        accessQueryHook: { invoke: mock.fn(async req => { req.apiData.query.public = true }) }
+      }
+      instance.registeredModules = [contentMod, assetsMod, { schemaName: 'noCollection' }]
+      const req = { auth: { user: { _id: 'u1' } }, apiData: { query: { title: 'x' } } }
+
+      const filters = await instance.getAccessFilters(req)
+
+      assert.deepEqual(filters, { content: { $or: [{ createdBy: 'u1' }, { owners: 'u1' }] }, assets: { public: true } })
+      assert.deepEqual(req.apiData.query, { title: 'x' }, 'original request query untouched')
+    })
+
+    it('should not filter for super users', async () => {
+      const { instance } = createInstance()
+      const mod = { collectionName: 'content', accessQueryHook: { invoke: mock.fn(async () => {}) } }
+      instance.registeredModules = [mod]
+
+      assert.deepEqual(await instance.getAccessFilters({ auth: { isSuper: true }, apiData: { query: {} } }), {})
+      assert.equal(mod.accessQueryHook.invoke.mock.calls.length, 0)
+    })
+
+    it('should convert ids to ObjectIds to match the stored values', async () => {
+      const { instance } = createInstance()
+      const mod = { collectionName: 'content', accessQueryHook: { invoke: mock.fn(async req => instance.grantCreatorQuery(req)) } }
+      instance.registeredModules = [mod]
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+      const filters = await instance.getAccessFilters({ auth: { user: { _id: parseObjectId(userId) } }, apiData: { query: {} } })
+
+      assert.deepEqual(filters, { content: { $or: [{ createdBy: parseObjectId(userId) }, { owners: parseObjectId(userId) }] } })
+    })
+  })
+
+  describe('#recentHandler()', () => {
+    function createRes () {
+      return { json: mock.fn() }
+    }
+
+    it('should respond with the results and a null cursor on the last page', async () => {
+      const { instance } = createInstance()
+      instance.getAccessFilters = mock.fn(async () => ({ content: { a: 1 } }))
+      instance.getRecentlyChanged = mock.fn(async () => [{ _id: 'a', updatedAt: '2024-01-01T00:00:00.000Z' }])
+      const res = createRes()
+
+      await instance.recentHandler({ query: { limit: '10' } }, res, mock.fn())
+
+      const opts = instance.getRecentlyChanged.mock.calls[0].arguments[0]
+      assert.equal(opts.limit, 11)
+      assert.deepEqual(opts.filters, { content: { a: 1 } })
+      assert.equal(opts.after, undefined)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { results: [{ _id: 'a', updatedAt: '2024-01-01T00:00:00.000Z' }], cursor: null })
+    })
+
+    it('should return a cursor for the last row when there are more rows', async () => {
+      const { instance } = createInstance()
+      instance.getAccessFilters = mock.fn(async () => ({}))
+      instance.getRecentlyChanged = mock.fn(async () => [
+        { _id: 'a', updatedAt: '2024-01-03T00:00:00.000Z' },
+        { _id: 'b', updatedAt: '2024-01-02T00:00:00.000Z' },
+        { _id: 'c', updatedAt: '2024-01-01T00:00:00.000Z' }
+      ])
+      const res = createRes()
+
+      await instance.recentHandler({ query: { limit: '2' } }, res, mock.fn())
+
+      const { results, cursor } = res.json.mock.calls[0].arguments[0]
+      assert.deepEqual(results.map(r => r._id), ['a', 'b'])
+      assert.deepEqual(decodeRecentCursor(cursor), { _id: 'b', updatedAt: '2024-01-02T00:00:00.000Z' })
+    })
+
+    it('should pass a decoded cursor through to getRecentlyChanged', async () => {
+      const { instance } = createInstance()
+      instance.getAccessFilters = mock.fn(async () => ({}))
+      instance.getRecentlyChanged = mock.fn(async () => [])
+      const cursor = encodeRecentCursor({ _id: 'b', updatedAt: '2024-01-02T00:00:00.000Z' })
+
+      await instance.recentHandler({ query: { cursor } }, createRes(), mock.fn())
+
+      assert.deepEqual(instance.getRecentlyChanged.mock.calls[0].arguments[0].after, { _id: 'b', updatedAt: '2024-01-02T00:00:00.000Z' })
+    })
+
+    it('should cap the limit', async () => {
+      const { instance } = createInstance()
+      instance.getAccessFilters = mock.fn(async () => ({}))
+      instance.getRecentlyChanged = mock.fn(async () => [])
+
+      await instance.recentHandler({ query: { limit: '5000' } }, createRes(), mock.fn())
+
+      assert.equal(instance.getRecentlyChanged.mock.calls[0].arguments[0].limit, 101)
+    })
+
+    it('should reject limits below 1', async () => {
+      const { instance } = createInstance()
+      instance.getRecentlyChanged = mock.fn(async () => [])
+
+      for (const limit of ['-5', '0', 'abc', '2.5']) {
+        const next = mock.fn()
+        await instance.recentHandler({ query: { limit } }, createRes(), next)
+        assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params', limit)
+      }
+      assert.deepEqual(instance.app.errors.INVALID_PARAMS.setData.mock.calls[0].arguments[0], { params: ['limit'] })
+      assert.equal(instance.getRecentlyChanged.mock.calls.length, 0)
+    })
+
+    it('should pass INVALID_PARAMS to next for a malformed cursor', async () => {
+      const { instance } = createInstance()
+      instance.getRecentlyChanged = mock.fn(async () => [])
+      const next = mock.fn()
+
+      await instance.recentHandler({ query: { cursor: 'garbage' } }, createRes(), next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params')
+      assert.equal(instance.getRecentlyChanged.mock.calls.length, 0)
+    })
+
+    it('should pass the query options through to getRecentlyChanged', async () => {
+      const { instance } = createInstance()
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }]
+      instance.getAccessFilters = mock.fn(async () => ({}))
+      instance.getRecentlyChanged = mock.fn(async () => [])
+      const query = { details: 'true', updatedBy: 'u1', from: '2024-01-01', to: '2024-02-01', collections: 'content,assets', groupBy: 'course' }
+
+      await instance.recentHandler({ query }, createRes(), mock.fn())
+
+      const opts = instance.getRecentlyChanged.mock.calls[0].arguments[0]
+      assert.equal(opts.details, true)
+      assert.equal(opts.updatedBy, 'u1')
+      assert.equal(opts.from, '2024-01-01T00:00:00.000Z')
+      assert.equal(opts.to, '2024-02-01T00:00:00.000Z')
+      assert.deepEqual(opts.collections, ['content', 'assets'])
+      assert.equal(opts.groupBy, 'course')
+    })
+
+    it('should reject invalid dates, unknown collections and groupings', async () => {
+      const { instance } = createInstance()
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.getRecentlyChanged = mock.fn(async () => [])
+      const next = mock.fn()
+
+      await instance.recentHandler({ query: { from: 'nope', collections: 'content,other', groupBy: 'user' } }, createRes(), next)
+
+      assert.deepEqual(instance.app.errors.INVALID_PARAMS.setData.mock.calls[0].arguments[0], { params: ['from', 'collections', 'groupBy'] })
+      assert.equal(instance.getRecentlyChanged.mock.calls.length, 0)
+    })
+  })
+
+  describe('#recordRevision()', () => {
+    it('should store the before/after snapshots with the actor and document id', async () => {
+      const mongodb = { insert: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const before = { _id: 'd1', title: 'a' }
+      const after = { _id: 'd1', title: 'b', updatedBy: 'u1' }
+
+      await instance.recordRevision({ collectionName: 'content' }, 'update', before, after)
+
+      const [collection, record] = mongodb.insert.mock.calls[0].arguments
+      assert.equal(collection, 'authoredrevisions')
+      assert.equal(record.action, 'update')
+      assert.equal(record.collection, 'content')
+      assert.equal(record.docId, 'd1')
+      assert.equal(record.actor, 'u1')
+      assert.ok(record.timestamp)
+      assert.equal(record.before, before)
+      assert.equal(record.after, after)
+    })
+
+    it('should use the deleted document id for deletes', async () => {
+      const mongodb = { insert: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await instance.recordRevision({ collectionName: 'content' }, 'delete', { _id: 'd1' }, null)
+
+      assert.equal(mongodb.insert.mock.calls[0].arguments[1].docId, 'd1')
+      assert.equal(mongodb.insert.mock.calls[0].arguments[1].after, null)
+    })
+
+    it('should attribute deletes to the acting user', async () => {
+      const mongodb = { insert: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.getActor = mock.fn(() => 'deleter')
+
+      await instance.recordRevision({ collectionName: 'content' }, 'delete', { _id: 'd1', updatedBy: 'old' }, null)
+
+      assert.equal(mongodb.insert.mock.calls[0].arguments[1].actor, 'deleter')
+    })
+
+    it('should log rather than throw when the revision cannot be stored', async () => {
+      const mongodb = { insert: mock.fn(async () => { throw new Error('fail') }) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.log = mock.fn()
+
+      await assert.doesNotReject(() => instance.recordRevision({ collectionName: 'content' }, 'insert', null, { _id: 'd1' }))
+      assert.equal(instance.log.mock.calls[0].arguments[0], 'warn')
+    })
+  })
+
+  describe('#getRevisions()', () => {
+    it('should find the revisions for a document, newest first', async () => {
+      const mongodb = { find: mock.fn(async () => [{ _id: 'r1' }]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      const revisions = await instance.getRevisions('content', 'd1')
+
+      assert.deepEqual(revisions, [{ _id: 'r1' }])
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments, ['authoredrevisions', { collection: 'content', docId: 'd1' }, { sort: { timestamp: -1 } }])
+    })
+  })
+
+  describe('#restoreRevision()', () => {
+    function setup (revision, current) {
+      const mongodb = {
+        find: mock.fn(async () => revision ? [revision] : []),
+        update: mock.fn(async () => ({ _id: 'd1' }))
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = {
+        collectionName: 'content',
+        find: mock.fn(async () => current ? [current] : []),
+        update: mock.fn(async (q, data) => data),
+        insert: mock.fn(async data => data)
+      }
+      instance.registeredModules = [mod]
+      return { instance, mod, mongodb }
+    }
+
+    it('should update an existing document with the revision snapshot', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old', updatedAt: 'then', updatedBy: 'u0' } }
+      const { instance, mod, mongodb } = setup(revision, { _id: 'd1', title: 'new', updatedAt: 'now' })
+
+      await instance.restoreRevision('r1', { updatedBy: 'u1' })
+
+      const [query, data] = mod.update.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: 'd1' })
+      assert.equal(data.title, 'old')
+      assert.equal(data.updatedBy, 'u1')
+      assert.notEqual(data.updatedAt, 'then')
+      assert.equal(mod.insert.mock.calls.length, 0)
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should use the module\'s own authored field names', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old', modified: 'then', editor: 'u0', updatedAt: 'kept' } }
+      const { instance, mod } = setup(revision, { _id: 'd1', title: 'new', modified: 'now', editor: 'u2', updatedAt: 'kept' })
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, updatedAt: 'modified', updatedBy: 'editor' } })
+
+      await instance.restoreRevision('r1', { editor: 'u1' })
+
+      const [, data] = mod.update.mock.calls[0].arguments
+      assert.equal(data.editor, 'u1')
+      assert.notEqual(data.modified, 'then')
+      assert.equal(data.updatedAt, 'kept')
+    })
+
+    it('should not stamp documents of modules without timestamps', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old', updatedBy: 'u0' } }
+      const { instance, mod } = setup(revision, { _id: 'd1', title: 'new' })
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), timestamps: false })
+
+      await instance.restoreRevision('r1')
+
+      const [, data] = mod.update.mock.calls[0].arguments
+      assert.deepEqual(data, { title: 'old' })
+    })
+
+    it('should remove fields added since the revision', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old' } }
+      const { instance, mongodb } = setup(revision, { _id: 'd1', title: 'new', body: 'added', updatedAt: 'now' })
+
+      const restored = await instance.restoreRevision('r1')
+
+      assert.deepEqual(mongodb.update.mock.calls[0].arguments, ['content', { _id: 'd1' }, { $unset: { body: '' } }])
+      assert.deepEqual(restored, { _id: 'd1' })
+    })
+
+    it('should re-insert a deleted document with its original _id', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old' } }
+      const { instance, mod } = setup(revision)
+
+      await instance.restoreRevision('r1')
+
+      const [data, , mongoOptions] = mod.insert.mock.calls[0].arguments
+      assert.equal(data._id, 'd1')
+      assert.equal(data.title, 'old')
+      assert.deepEqual(mongoOptions, { preserveId: true })
+      assert.equal(mod.update.mock.calls.length, 0)
+    })
+
+    it('should leave the ownership, contributors and lock of an existing document as they are', async () => {
+      const authored = { createdBy: 'u2', owners: ['u3'], ownershipHistory: [{ action: 'addOwner' }], contributors: ['u3'], contributorActivity: { u3: {} }, lockedBy: 'u3', lockedAt: 'now', lockExpiresAt: 'later' }
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old', createdBy: 'u1', owners: [], contributors: ['u1'] } }
+      const { instance, mod, mongodb } = setup(revision, { _id: 'd1', title: 'new', ...authored })
+
+      await instance.restoreRevision('r1')
+
+      const [, data] = mod.update.mock.calls[0].arguments
+      Object.keys(authored).forEach(k => assert.equal(k in data, false, k))
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should re-insert a deleted document with its owners, but without its lock', async () => {
+      const revision = { collection: 'content', after: { _id: 'd1', title: 'old', createdBy: 'u1', owners: ['u2'], lockedBy: 'u2', lockedAt: 'then', lockExpiresAt: 'then' } }
+      const { instance, mod } = setup(revision)
+
+      await instance.restoreRevision('r1')
+
+      const [data] = mod.insert.mock.calls[0].arguments
+      assert.equal(data.createdBy, 'u1')
+      assert.deepEqual(data.owners, ['u2'])
+      assert.equal('lockedBy' in data, false)
+      assert.equal('lockExpiresAt' in data, false)
+    })
+
+    it('should throw NOT_FOUND for an unknown revision', async () => {
+      const { instance } = setup()
+      await assert.rejects(() => instance.restoreRevision('r1'), { message: 'Not found' })
+    })
+
+    it('should throw REVISION_NOT_RESTORABLE for a delete revision', async () => {
+      const { instance } = setup({ collection: 'content', action: 'delete', before: { _id: 'd1' }, after: null })
+      await assert.rejects(() => instance.restoreRevision('r1'), { message: 'Revision not restorable' })
+    })
+
+    it('should throw NOT_FOUND when the collection is no longer registered', async () => {
+      const { instance } = setup({ collection: 'other', after: { _id: 'd1' } })
+      await assert.rejects(() => instance.restoreRevision('r1'), { message: 'Not found' })
+    })
+  })
+
+  describe('#getRevisionsHandler()', () => {
+    function setup ({ doc, canAccess = true, revisions = [] } = {}) {
+      const mongodb = { find: mock.fn(async collection => collection === 'authoredrevisions' ? revisions : (doc ? [doc] : [])) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.canAccessDoc = mock.fn(async () => canAccess)
+      return { instance, res: { json: mock.fn() }, next: mock.fn() }
+    }
+
+    it('should respond with the revisions of documents the user can access', async () => {
+      const { instance, res, next } = setup({ doc: { _id: 'd1' }, revisions: [{ _id: 'r1' }] })
+
+      await instance.getRevisionsHandler({ params: { collection: 'content', docId: 'd1' } }, res, next)
+
+      assert.deepEqual(instance.canAccessDoc.mock.calls[0].arguments.slice(1), ['content', { _id: 'd1' }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ _id: 'r1' }])
+    })
+
+    it('should check access to deleted documents against their latest snapshot', async () => {
+      const { instance, res, next } = setup({ revisions: [{ _id: 'r2', before: { _id: 'd1', title: 'x' }, after: null }] })
+
+      await instance.getRevisionsHandler({ params: { collection: 'content', docId: 'd1' } }, res, next)
+
+      assert.deepEqual(instance.canAccessDoc.mock.calls[0].arguments[2], { _id: 'd1', title: 'x' })
+    })
+
+    it('should pass NOT_FOUND to next for documents the user cannot access', async () => {
+      const { instance, res, next } = setup({ doc: { _id: 'd1' }, canAccess: false, revisions: [{ _id: 'r1' }] })
+
+      await instance.getRevisionsHandler({ params: { collection: 'content', docId: 'd1' } }, res, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(res.json.mock.calls.length, 0)
+    })
+  })
+
+  describe('#restoreRevisionHandler()', () => {
+    it('should not restore documents the user cannot access', async () => {
+      const revision = { _id: 'r1', collection: 'content', docId: 'd1', after: { _id: 'd1' } }
+      const mongodb = { find: mock.fn(async () => [revision]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.canAccessDoc = mock.fn(async () => false)
+      instance.restoreRevision = mock.fn(async () => ({}))
+      const next = mock.fn()
+
+      await instance.restoreRevisionHandler({ params: { revisionId: 'r1' }, auth: { user: { _id: 'u1' } } }, { json: mock.fn() }, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(instance.restoreRevision.mock.calls.length, 0)
+    })
+
+    it('should record the requesting user in the module\'s updatedBy field', async () => {
+      const revision = { _id: 'r1', collection: 'content', docId: 'd1', after: { _id: 'd1' } }
+      const mongodb = { find: mock.fn(async () => [revision]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'content' }
+      instance.registeredModules = [mod]
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, updatedBy: 'editor' } })
+      instance.canAccessDoc = mock.fn(async () => true)
+      instance.restoreRevision = mock.fn(async () => ({}))
+
+      await instance.restoreRevisionHandler({ params: { revisionId: 'r1' }, auth: { user: { _id: 'u1' } } }, { json: mock.fn() }, mock.fn())
+
+      assert.deepEqual(instance.restoreRevision.mock.calls[0].arguments, ['r1', { editor: 'u1' }])
+    })
+  })
+
+  describe('#softDelete()', () => {
+    it('should move the deleted document into the trash collection', async () => {
+      const mongodb = { insert: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const ogDoc = { _id: 'd1', title: 'x' }
+
+      await instance.softDelete({ collectionName: 'content' }, ogDoc)
+
+      const [collection, entry] = mongodb.insert.mock.calls[0].arguments
+      assert.equal(collection, 'authoredtrash')
+      assert.equal(entry.collection, 'content')
+      assert.equal(entry.docId, 'd1')
+      assert.equal(entry.doc, ogDoc)
+      assert.ok(entry.deletedAt)
+      assert.equal('deletedBy' in entry, false)
+    })
+
+    it('should record the acting user as deletedBy', async () => {
+      const mongodb = { insert: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.getActor = mock.fn(() => 'deleter')
+
+      await instance.softDelete({ collectionName: 'content' }, { _id: 'd1' })
+
+      assert.equal(mongodb.insert.mock.calls[0].arguments[1].deletedBy, 'deleter')
+    })
+  })
+
+  describe('#restoreDeleted()', () => {
+    function setup (entry) {
+      const mongodb = {
+        find: mock.fn(async () => entry ? [entry] : []),
+        insert: mock.fn(async () => {}),
+        delete: mock.fn(async () => {})
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'content' }
+      instance.registeredModules = [mod]
+      instance.moduleOptions.set(mod, { softDelete: true })
+      instance.updateCourseTimestamp = mock.fn(async () => {})
+      instance.emit = mock.fn()
+      return { instance, mongodb, mod }
+    }
+
+    it('should move the document out of the trash and bump the course', async () => {
+      const doc = { _id: 'd1', _courseId: 'c1', _parentId: 'p1' }
+      const { instance, mongodb } = setup({ _id: 't1', collection: 'content', docId: 'd1', deletedAt: 'then', doc })
+
+      await instance.restoreDeleted('content', 'd1', 'u1')
+
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments, ['authoredtrash', { collection: 'content', docId: 'd1' }, { sort: { deletedAt: -1 }, limit: 1 }])
+      assert.deepEqual(mongodb.insert.mock.calls[0].arguments, ['content', doc, { preserveId: true }])
+      assert.deepEqual(mongodb.delete.mock.calls[0].arguments, ['authoredtrash', { _id: 't1' }])
+      assert.deepEqual(instance.updateCourseTimestamp.mock.calls[0].arguments[0], { _courseId: 'c1', _parentId: 'p1', updatedBy: 'u1' })
+      assert.equal(instance.emit.mock.calls[0].arguments[1].action, 'restore')
+    })
+
+    it('should throw NOT_FOUND when no soft-deleted document matches', async () => {
+      const { instance, mongodb } = setup()
+
+      await assert.rejects(() => instance.restoreDeleted('content', 'd1'), { message: 'Not found' })
+      assert.equal(mongodb.insert.mock.calls.length, 0)
+    })
+
+    it('should throw NOT_FOUND for a collection without soft delete', async () => {
+      const { instance, mongodb, mod } = setup({ _id: 't1', doc: { _id: 'd1' } })
+      instance.moduleOptions.set(mod, { softDelete: false })
+
+      await assert.rejects(() => instance.restoreDeleted('content', 'd1'), { message: 'Not found' })
+      assert.equal(mongodb.find.mock.calls.length, 0)
+    })
+  })
+
+  describe('#restoreDeletedHandler()', () => {
+    function setup (canAccess) {
+      const { instance } = createInstance()
+      instance.getDeleted = mock.fn(async () => ({ doc: { _id: 'd1', createdBy: 'other' } }))
+      instance.canAccessDoc = mock.fn(async () => canAccess)
+      instance.restoreDeleted = mock.fn(async () => {})
+      const req = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'u1' } } }
+      const res = { sendStatus: mock.fn() }
+      return { instance, req, res }
+    }
+
+    it('should restore a document the user can access', async () => {
+      const { instance, req, res } = setup(true)
+      const next = mock.fn()
+
+      await instance.restoreDeletedHandler(req, res, next)
+
+      assert.deepEqual(instance.canAccessDoc.mock.calls[0].arguments, [req, 'content', { _id: 'd1', createdBy: 'other' }])
+      assert.deepEqual(instance.restoreDeleted.mock.calls[0].arguments, ['content', 'd1', 'u1'])
+      assert.equal(res.sendStatus.mock.calls[0].arguments[0], 204)
+      assert.equal(next.mock.calls.length, 0)
+    })
+
+    it('should report a document the user cannot access as not found', async () => {
+      const { instance, req, res } = setup(false)
+      const next = mock.fn()
+
+      await instance.restoreDeletedHandler(req, res, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(instance.restoreDeleted.mock.calls.length, 0)
+    })
+  })
+
+  describe('#purgeDeleted()', () => {
+    it('should remove trash entries past the retention period for soft-delete collections only', async () => {
+      const deleteMany = mock.fn(async () => ({ deletedCount: 4 }))
+      const mongodb = { getCollection: mock.fn(() => ({ deleteMany })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const content = { collectionName: 'content' }
+      const assets = { collectionName: 'assets' }
+      instance.registeredModules = [content, assets]
+      instance.moduleOptions.set(content, { softDelete: true })
+      instance.moduleOptions.set(assets, { softDelete: false })
+      instance.getConfig = mock.fn(() => 86400000)
+
+      const before = Date.now()
+      const purged = await instance.purgeDeleted()
+
+      assert.deepEqual(purged, { content: 4 })
+      assert.equal(mongodb.getCollection.mock.calls[0].arguments[0], 'authoredtrash')
+      assert.equal(deleteMany.mock.calls.length, 1)
+      const query = deleteMany.mock.calls[0].arguments[0]
+      assert.equal(query.collection, 'content')
+      const cutoff = new Date(query.deletedAt.$lt).getTime()
+      assert.ok(cutoff <= before - 86400000 + 1000 && cutoff >= before - 86400000 - 1000)
+    })
+
+    it('should log rather than throw on failure', async () => {
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => { throw new Error('fail') }) })
+      instance.log = mock.fn()
+
+      await assert.doesNotReject(() => instance.purgeDeleted())
+      assert.equal(instance.log.mock.calls[0].arguments[0], 'error')
+    })
+  })
+
+  describe('#recordContributor()', () => {
+    it('should record the last editor as a contributor to the document', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await instance.recordContributor({ collectionName: 'content' }, { _id: 'd1', _courseId: 'c1', updatedBy: 'u1', updatedAt: '2024-01-01T00:00:00.000Z' })
+
+      const [collection, query, update] = mongodb.update.mock.calls[0].arguments
+      assert.equal(collection, 'content')
+      assert.deepEqual(query, { _id: 'd1' })
+      assert.deepEqual(update.$addToSet, { contributors: 'u1' })
+      assert.equal(update.$set['contributorActivity.u1.lastEditedAt'], '2024-01-01T00:00:00.000Z')
+    })
+
+    it('should record edits to a course itself once written, so they aren\'t overwritten by the update', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await instance.recordContributor({ collectionName: 'content' }, { _id: 'c1', _courseId: 'c1', updatedBy: 'u1', updatedAt: '2024-01-01T00:00:00.000Z' })
+
+      const [, query, update] = mongodb.update.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: 'c1' })
+      assert.deepEqual(update.$inc, { 'contributorActivity.u1.edits': 1 })
+    })
+
+    it('should skip documents with no updatedBy', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await instance.recordContributor({ collectionName: 'assets' }, { _id: 'a1', updatedAt: '2024-01-01T00:00:00.000Z' })
+
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should use the mapped fields of the module', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'tags' }
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, updatedBy: 'editor', updatedAt: 'modified' } })
+
+      await instance.recordContributor(mod, { _id: 't1', editor: 'u1', modified: '2024-01-01T00:00:00.000Z' })
+
+      const update = mongodb.update.mock.calls[0].arguments[2]
+      assert.deepEqual(update.$addToSet, { contributors: 'u1' })
+      assert.equal(update.$set['contributorActivity.u1.lastEditedAt'], '2024-01-01T00:00:00.000Z')
+    })
+
+    it('should use the current time for modules without timestamps', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'tags' }
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), timestamps: false })
+      const before = Date.now()
+
+      await instance.recordContributor(mod, { _id: 't1', updatedBy: 'u1' })
+
+      const lastEditedAt = mongodb.update.mock.calls[0].arguments[2].$set['contributorActivity.u1.lastEditedAt']
+      assert.ok(Date.parse(lastEditedAt) >= before)
+    })
+
+    it('should skip modules without authorship', async () => {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'tags' }
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), authorship: false })
+
+      await instance.recordContributor(mod, { _id: 't1', updatedBy: 'u1' })
+
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getContributorsHandler()', () => {
+    function setup ({ course = { _id: 'c1', _type: 'course' }, canAccess = true } = {}) {
+      const mongodb = { find: mock.fn(async () => course ? [course] : []) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.canAccessDoc = mock.fn(async () => canAccess)
+      instance.getContributors = mock.fn(async () => [{ _id: 'u1', edits: 1 }])
+      return { instance, res: { json: mock.fn() }, next: mock.fn() }
+    }
+
+    it('should respond with the contributors of a course the user can access', async () => {
+      const { instance, res, next } = setup()
+
+      await instance.getContributorsHandler({ params: { courseId: 'c1' } }, res, next)
+
+      assert.deepEqual(instance.canAccessDoc.mock.calls[0].arguments.slice(1), ['content', { _id: 'c1', _type: 'course' }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ _id: 'u1', edits: 1 }])
+    })
+
+    it('should report courses the user cannot access as not found', async () => {
+      const { instance, res, next } = setup({ canAccess: false })
+
+      await instance.getContributorsHandler({ params: { courseId: 'c1' } }, res, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(instance.getContributors.mock.calls.length, 0)
+      assert.equal(res.json.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getContributors()', () => {
+    it('should list the course contributors, most active first', async () => {
+      const course = {
+        _id: 'c1',
+        contributors: ['u1', 'u2', 'u3'],
+        contributorActivity: {
+          u1: { edits: 2, lastEditedAt: 'a' },
+          u2: { edits: 7, lastEditedAt: 'b' }
+        }
+      }
+      const mongodb = { find: mock.fn(async () => [course]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      const contributors = await instance.getContributors('c1')
+
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments[1], { _id: 'c1', _type: 'course' })
+      assert.deepEqual(contributors, [
+        { _id: 'u2', edits: 7, lastEditedAt: 'b' },
+        { _id: 'u1', edits: 2, lastEditedAt: 'a' },
+        { _id: 'u3', edits: 0 }
+      ])
+    })
+
+    it('should throw NOT_FOUND for an unknown course', async () => {
+      const mongodb = { find: mock.fn(async () => []) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await assert.rejects(() => instance.getContributors('c1'), { message: 'Not found' })
+    })
+  })
+
+  describe('#transferOwnership()', () => {
+    function setup (docs = {}, coOwned = {}) {
+      const mongodb = {
+        find: mock.fn(async (name, query) => (query.owners ? coOwned[name] : docs[name]) ?? []),
+        insert: mock.fn(async data => ({ _id: 'j1', ...data }))
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }, { schemaName: 'noCollection' }]
+      instance.runTransfer = mock.fn(async () => ({ moved: {}, failed: {}, journalId: 'j1' }))
+      return { instance, mongodb }
+    }
+
+    it('should report the ids which would move on a dry run, without writing anything', async () => {
+      const { instance, mongodb } = setup({ content: [{ _id: 'c1' }, { _id: 'c2' }], assets: [{ _id: 'a1' }] }, { content: [{ _id: 'c3' }] })
+
+      const result = await instance.transferOwnership('u1', 'u2', { dryRun: true })
+
+      assert.deepEqual(result, {
+        dryRun: true,
+        ids: { content: ['c1', 'c2'], assets: ['a1'] },
+        coOwnedIds: { content: ['c3'], assets: [] }
+      })
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments[1], { createdBy: 'u1' })
+      assert.deepEqual(mongodb.find.mock.calls[1].arguments[1], { owners: 'u1' })
+      assert.equal(mongodb.insert.mock.calls.length, 0)
+      assert.equal(instance.runTransfer.mock.calls.length, 0)
+    })
+
+    it('should apply per-collection filters and limit the collections', async () => {
+      const { instance, mongodb } = setup({ content: [{ _id: 'c1' }] })
+
+      const result = await instance.transferOwnership('u1', 'u2', { dryRun: true, collections: ['content'], filters: { content: { _courseId: 'x' } } })
+
+      assert.deepEqual(result.ids, { content: ['c1'] })
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments[1], { _courseId: 'x', createdBy: 'u1' })
+      assert.deepEqual(mongodb.find.mock.calls[1].arguments[1], { _courseId: 'x', owners: 'u1' })
+    })
+
+    it('should journal the transfer before running it', async () => {
+      const { instance, mongodb } = setup({ content: [{ _id: 'c1' }] })
+
+      const result = await instance.transferOwnership('u1', 'u2', { reason: 'test' })
+
+      const [collection, journal] = mongodb.insert.mock.calls[0].arguments
+      assert.equal(collection, 'authoredtransfers')
+      assert.equal(journal.from, 'u1')
+      assert.equal(journal.to, 'u2')
+      assert.equal(journal.reason, 'test')
+      assert.equal(journal.status, 'pending')
+      assert.deepEqual(journal.collections, {
+        content: { ids: ['c1'], coOwnedIds: [], createdByField: 'createdBy', status: 'pending' },
+        assets: { ids: [], coOwnedIds: [], createdByField: 'createdBy', status: 'pending' }
+      })
+      assert.equal(instance.runTransfer.mock.calls[0].arguments[0]._id, 'j1')
+      assert.deepEqual(result, { moved: {}, failed: {}, journalId: 'j1' })
+    })
+  })
+
+  describe('#runTransfer()', () => {
+    function setup ({ failOn, transactions = false } = {}) {
+      const updateMany = mock.fn(async () => ({ modifiedCount: 2 }))
+      const session = {
+        withTransaction: mock.fn(async fn => fn()),
+        endSession: mock.fn(async () => {})
+      }
+      const mongodb = {
+        getCollection: mock.fn(name => ({
+          updateMany: name === failOn ? mock.fn(async () => { throw new Error('boom') }) : updateMany
+        })),
+        update: mock.fn(async () => {}),
+        client: { startSession: mock.fn(() => session) }
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.supportsTransactions = mock.fn(async () => transactions)
+      const journal = {
+        _id: 'j1',
+        from: 'u1',
+        to: 'u2',
+        collections: {
+          content: { ids: ['c1', 'c2'], status: 'pending' },
+          assets: { ids: ['a1', 'a2'], status: 'pending' },
+          tags: { ids: ['t1'], status: 'complete' }
+        }
+      }
+      return { instance, mongodb, session, updateMany, journal }
+    }
+
+    it('should move only documents still owned by the original user, skipping completed collections', async () => {
+      const { instance, updateMany, journal } = setup()
+
+      const result = await instance.runTransfer(journal)
+
+      assert.deepEqual(result, { moved: { content: 2, assets: 2 }, failed: {}, journalId: 'j1' })
+      assert.equal(updateMany.mock.calls.length, 2)
+      const [query, update] = updateMany.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: { $in: ['c1', 'c2'] }, createdBy: 'u1' })
+      assert.deepEqual(update.$set, { createdBy: 'u2' })
+      assert.deepEqual(update.$pull, { owners: 'u2' })
+    })
+
+    it('should record the transfer in the ownership history of each document', async () => {
+      const { instance, updateMany, journal } = setup()
+      Object.assign(journal, { actor: 'admin', reason: 'api' })
+
+      await instance.runTransfer(journal)
+
+      const { ownershipHistory } = updateMany.mock.calls[0].arguments[1].$push
+      assert.equal(ownershipHistory.action, 'transfer')
+      assert.equal(ownershipHistory.previousOwner, 'u1')
+      assert.equal(ownershipHistory.newOwner, 'u2')
+      assert.equal(ownershipHistory.actor, 'admin')
+      assert.equal(ownershipHistory.reason, 'api')
+    })
+
+    it('should replace the user in the co-owners of co-owned documents', async () => {
+      const { instance, updateMany, journal } = setup()
+      journal.collections = { content: { ids: ['c1'], coOwnedIds: ['c3'], status: 'pending' } }
+
+      const result = await instance.runTransfer(journal)
+
+      assert.equal(updateMany.mock.calls.length, 2)
+      const [query, pipeline] = updateMany.mock.calls[1].arguments
+      assert.deepEqual(query, { _id: { $in: ['c3'] }, owners: 'u1' })
+      assert.deepEqual(pipeline[0].$set.owners.$filter.input, { $setUnion: [{ $setDifference: ['$owners', ['u1']] }, ['u2']] })
+      const [existing, [entry]] = pipeline[0].$set.ownershipHistory.$concatArrays
+      assert.deepEqual(existing, { $ifNull: ['$ownershipHistory', []] })
+      assert.equal(entry.$literal.action, 'transferCoOwnership')
+      assert.deepEqual(result.moved, { content: 4 })
+    })
+
+    it('should report per-collection failures without throwing when transactions are unsupported', async () => {
+      const { instance, mongodb, journal } = setup({ failOn: 'content' })
+
+      const result = await instance.runTransfer(journal)
+
+      assert.deepEqual(result.moved, { assets: 2 })
+      assert.deepEqual(result.failed, { content: 'boom' })
+      const sets = mongodb.update.mock.calls.map(c => c.arguments[2].$set)
+      assert.equal(sets[0]['collections.content.status'], 'failed')
+      assert.equal(sets[1]['collections.assets.status'], 'complete')
+      assert.equal(sets.at(-1).status, 'failed')
+    })
+
+    it('should mark the journal complete when everything moved', async () => {
+      const { instance, mongodb, journal } = setup()
+
+      await instance.runTransfer(journal)
+
+      assert.equal(mongodb.update.mock.calls.at(-1).arguments[2].$set.status, 'complete')
+    })
+
+    it('should move every collection in one transaction when supported', async () => {
+      const { instance, session, updateMany, journal } = setup({ transactions: true })
+
+      const result = await instance.runTransfer(journal)
+
+      assert.equal(session.withTransaction.mock.calls.length, 1)
+      assert.equal(updateMany.mock.calls[0].arguments[2].session, session)
+      assert.equal(session.endSession.mock.calls.length, 1)
+      assert.deepEqual(result.moved, { content: 2, assets: 2 })
+    })
+
+    it('should report nothing moved when the transaction fails', async () => {
+      const { instance, session, mongodb, journal } = setup({ transactions: true, failOn: 'assets' })
+
+      const result = await instance.runTransfer(journal)
+
+      assert.deepEqual(result.moved, {})
+      assert.deepEqual(result.failed, { assets: 'boom' })
+      assert.equal(session.endSession.mock.calls.length, 1)
+      const { $set } = mongodb.update.mock.calls[0].arguments[2]
+      assert.equal($set['collections.assets.status'], 'failed')
+      assert.equal($set['collections.content.status'], 'pending')
+    })
+  })
+
+  describe('#resumeTransfers()', () => {
+    it('should re-run pending transfers', async () => {
+      const mongodb = { find: mock.fn(async () => [{ _id: 'j1' }, { _id: 'j2' }]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.runTransfer = mock.fn(async () => ({ failed: {} }))
+
+      await instance.resumeTransfers()
+
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments, ['authoredtransfers', { status: 'pending' }])
+      assert.equal(instance.runTransfer.mock.calls.length, 2)
+    })
+
+    it('should log a transfer which fails to resume and carry on', async () => {
+      const mongodb = { find: mock.fn(async () => [{ _id: 'j1' }, { _id: 'j2' }]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.runTransfer = mock.fn(async () => { throw new Error('boom') })
+      instance.log = mock.fn()
+
+      await instance.resumeTransfers()
+
+      assert.equal(instance.runTransfer.mock.calls.length, 2)
+      assert.equal(instance.log.mock.calls.length, 2)
+    })
+  })
+
+  describe('#supportsTransactions()', () => {
+    function setup (hello) {
+      const command = mock.fn(async () => {
+        if (hello instanceof Error) throw hello
+        return hello
+      })
+      const mongodb = { client: { db: () => ({ admin: () => ({ command }) }) } }
+      return createInstance({ waitForModule: mock.fn(async () => mongodb) }).instance
+    }
+
+    it('should return true for a replica set', async () => {
+      assert.equal(await setup({ setName: 'rs0' }).supportsTransactions(), true)
+    })
+
+    it('should return true for a sharded cluster', async () => {
+      assert.equal(await setup({ msg: 'isdbgrid' }).supportsTransactions(), true)
+    })
+
+    it('should return false for a standalone server', async () => {
+      assert.equal(await setup({}).supportsTransactions(), false)
+    })
+
+    it('should return false when the check fails', async () => {
+      assert.equal(await setup(new Error('fail')).supportsTransactions(), false)
+    })
+  })
+
+  describe('#blockOwnerDelete()', () => {
+    function setup ({ config = {}, owned = [{ content: 2 }, { content: 0 }], users = [{ _id: 'x' }] } = {}) {
+      const { instance, mockApp } = createInstance()
+      mockApp.config.get = mock.fn(key => config[key.split('.').pop()])
+      let call = 0
+      instance.getOwnedCounts = mock.fn(async () => owned[Math.min(call++, owned.length - 1)])
+      instance.transferOwnership = mock.fn(async () => ({ moved: {}, failed: {} }))
+      instance.reassignToLastEditors = mock.fn(async () => {})
+      instance.getLastEditors = mock.fn(async () => ['e1'])
+      instance.releaseCoOwnership = mock.fn(async () => {})
+      instance.userCache = createMockCache(users)
+      return { instance }
+    }
+    const user = { _id: { toString: () => 'u1' } }
+
+    it('should allow deleting a user who solely owns nothing, releasing their co-ownership', async () => {
+      const { instance } = setup({ owned: [{ content: 0 }] })
+      await assert.doesNotReject(() => instance.blockOwnerDelete(user))
+      assert.deepEqual(instance.getOwnedCounts.mock.calls[0].arguments, ['u1', { sole: true }])
+      assert.deepEqual(instance.releaseCoOwnership.mock.calls[0].arguments, ['u1'])
+      assert.deepEqual(instance.getOwnedCounts.mock.calls[1].arguments, ['u1'])
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+    })
+
+    it('should refuse when co-owned content is left once co-ownership is released', async () => {
+      const { instance } = setup({ owned: [{ content: 0 }, { content: 1 }] })
+      await assert.rejects(() => instance.blockOwnerDelete(user), { message: 'User owns content' })
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 1)
+    })
+
+    it('should block deleting an owner by default', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'block', ownerDeleteFallbackUser: 'fb' } })
+      await assert.rejects(() => instance.blockOwnerDelete(user), { message: 'User owns content' })
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 0)
+    })
+
+    it('should reassign to the fallback user with the reassign policy', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'reassign', ownerDeleteFallbackUser: 'fb' } })
+
+      await instance.blockOwnerDelete(user)
+
+      assert.deepEqual(instance.transferOwnership.mock.calls[0].arguments, ['u1', 'fb', { reason: 'userDelete' }])
+    })
+
+    it('should block when the reassign policy has no fallback user, before changing anything', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'reassign' }, owned: [{ content: 2 }] })
+      await assert.rejects(() => instance.blockOwnerDelete(user), { message: 'User owns content' })
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 0)
+    })
+
+    it('should reassign to last editors, then the fallback user, with the lastEditor policy', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'lastEditor', ownerDeleteFallbackUser: 'fb' } })
+
+      await instance.blockOwnerDelete(user)
+
+      assert.deepEqual(instance.reassignToLastEditors.mock.calls[0].arguments, ['u1', ['e1']])
+      assert.equal(instance.transferOwnership.mock.calls[0].arguments[1], 'fb')
+      assert.equal(instance.getOwnedCounts.mock.calls.length, 2)
+    })
+
+    it('should reassign to last editors when every document has one', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'lastEditor' }, owned: [{ content: 2 }, { content: 0 }] })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      await instance.blockOwnerDelete(user)
+
+      assert.deepEqual(instance.getOwnedCounts.mock.calls[1].arguments, ['u1', { sole: true, filters: { content: { updatedBy: { $nin: ['e1'] } } } }])
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 1)
+      assert.equal(instance.reassignToLastEditors.mock.calls.length, 1)
+    })
+
+    it('should block before changing anything when content has no last editor to reassign to', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'lastEditor' }, owned: [{ content: 2 }, { content: 1 }] })
+      await assert.rejects(() => instance.blockOwnerDelete(user), { message: 'User owns content' })
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 0)
+      assert.equal(instance.reassignToLastEditors.mock.calls.length, 0)
+    })
+
+    it('should reassign to a transferTo user named on the request, whatever the policy', async () => {
+      const { instance } = setup({ config: { ownerDeletePolicy: 'block' } })
+      const req = { query: { transferTo: 'u9' } }
+
+      await instance.requestContext.run({ req }, () => instance.blockOwnerDelete(user))
+
+      assert.equal(instance.transferOwnership.mock.calls[0].arguments[1], 'u9')
+    })
+
+    it('should refuse a transferTo user who does not exist', async () => {
+      const { instance } = setup({ users: [] })
+      const req = { body: { transferTo: 'missing' } }
+
+      await assert.rejects(() => instance.requestContext.run({ req }, () => instance.blockOwnerDelete(user)), { message: 'Not found' })
+      assert.equal(instance.transferOwnership.mock.calls.length, 0)
+      assert.equal(instance.releaseCoOwnership.mock.calls.length, 0)
+    })
+
+    it('should refuse a transferTo user who is the user being deleted', async () => {
+      const { instance } = setup()
+      const req = { body: { transferTo: 'u1' } }
+
+      await assert.rejects(() => instance.requestContext.run({ req }, () => instance.blockOwnerDelete(user)), { message: 'Invalid transfer target' })
+    })
+  })
+
+  describe('#getLastEditors()', () => {
+    it('should list the existing users who last edited the user\'s documents', async () => {
+      const distinct = {
+        content: mock.fn(async () => ['e1', 'u1', null, 'e2']),
+        assets: mock.fn(async () => ['e1', 'gone'])
+      }
+      const mongodb = { getCollection: mock.fn(name => ({ distinct: distinct[name] })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }]
+      instance.userExists = mock.fn(async id => id !== 'gone')
+
+      assert.deepEqual(await instance.getLastEditors('u1'), ['e1', 'e2'])
+      assert.deepEqual(distinct.content.mock.calls[0].arguments, ['updatedBy', { createdBy: 'u1' }])
+    })
+
+    it('should match the user as an ObjectId, and return editors stored as ObjectIds as strings', async () => {
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+      const editorId = '5f0c5d1e2b3a4c5d6e7f8a9c'
+      const distinct = mock.fn(async () => [parseObjectId(editorId), parseObjectId(userId)])
+      const mongodb = { getCollection: mock.fn(() => ({ distinct })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.userExists = mock.fn(async () => true)
+
+      assert.deepEqual(await instance.getLastEditors(userId), [editorId])
+      assert.deepEqual(distinct.mock.calls[0].arguments, ['updatedBy', { createdBy: parseObjectId(userId) }])
+    })
+  })
+
+  describe('#reassignToLastEditors()', () => {
+    it('should transfer documents to each last editor', async () => {
+      const { instance } = createInstance()
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }]
+      instance.getLastEditors = mock.fn(async () => ['e1', 'e2'])
+      instance.transferOwnership = mock.fn(async () => ({ moved: {}, failed: {} }))
+
+      await instance.reassignToLastEditors('u1')
+
+      const calls = instance.transferOwnership.mock.calls.map(c => c.arguments)
+      assert.deepEqual(calls, [
+        ['u1', 'e1', { filters: { content: { updatedBy: 'e1' }, assets: { updatedBy: 'e1' } }, collections: ['content', 'assets'], reason: 'userDelete' }],
+        ['u1', 'e2', { filters: { content: { updatedBy: 'e2' }, assets: { updatedBy: 'e2' } }, collections: ['content', 'assets'], reason: 'userDelete' }]
+      ])
+    })
+
+    it('should use the given editors', async () => {
+      const { instance } = createInstance()
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.getLastEditors = mock.fn(async () => [])
+      instance.transferOwnership = mock.fn(async () => ({ moved: {}, failed: {} }))
+
+      await instance.reassignToLastEditors('u1', ['e3'])
+
+      assert.equal(instance.getLastEditors.mock.calls.length, 0)
+      assert.equal(instance.transferOwnership.mock.calls[0].arguments[1], 'e3')
+    })
+  })
+
+  describe('#getOwnedCounts()', () => {
+    function setup () {
+      const mongodb = { count: mock.fn(async () => 3) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { schemaName: 'noCollection' }]
+      return { instance, mongodb }
+    }
+
+    it('should count created and co-owned documents', async () => {
+      const { instance, mongodb } = setup()
+
+      assert.deepEqual(await instance.getOwnedCounts('u1'), { content: 3 })
+      assert.deepEqual(mongodb.count.mock.calls[0].arguments, ['content', { $or: [{ createdBy: 'u1' }, { owners: 'u1' }] }])
+    })
+
+    it('should only count documents with no co-owners when sole is set', async () => {
+      const { instance, mongodb } = setup()
+
+      await instance.getOwnedCounts('u1', { sole: true })
+
+      assert.deepEqual(mongodb.count.mock.calls[0].arguments[1], { createdBy: 'u1', 'owners.0': { $exists: false } })
+    })
+  })
+
+  describe('#releaseCoOwnership()', () => {
+    it('should pass created documents to their first co-owner, then remove the user as co-owner', async () => {
+      const updateMany = mock.fn(async () => ({}))
+      const mongodb = { getCollection: mock.fn(() => ({ updateMany })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      await instance.releaseCoOwnership('u1')
+
+      const [promoteQuery, promote] = updateMany.mock.calls[0].arguments
+      assert.deepEqual(promoteQuery, { createdBy: 'u1', 'owners.0': { $exists: true } })
+      assert.deepEqual(promote[0].$set.createdBy, { $arrayElemAt: ['$owners', 0] })
+      const [, [promoted]] = promote[0].$set.ownershipHistory.$concatArrays
+      assert.equal(promoted.action, 'promote')
+      assert.deepEqual(promoted.newOwner, { $arrayElemAt: ['$owners', 0] })
+      const [pullQuery, pull] = updateMany.mock.calls[1].arguments
+      assert.deepEqual(pullQuery, { owners: 'u1' })
+      assert.deepEqual(pull.$pull, { owners: 'u1' })
+      assert.equal(pull.$push.ownershipHistory.previousOwner, 'u1')
+    })
+
+    it('should match and write the user as an ObjectId', async () => {
+      const updateMany = mock.fn(async () => ({}))
+      const mongodb = { getCollection: mock.fn(() => ({ updateMany })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+      await instance.releaseCoOwnership(userId)
+
+      const [[promoteQuery, promote], [pullQuery, pull]] = updateMany.mock.calls.map(c => c.arguments)
+      assert.deepEqual(promoteQuery.createdBy, parseObjectId(userId))
+      assert.deepEqual(promote[0].$set.ownershipHistory.$concatArrays[1][0].previousOwner, parseObjectId(userId))
+      assert.deepEqual(pullQuery, { owners: parseObjectId(userId) })
+      assert.deepEqual(pull.$pull, { owners: parseObjectId(userId) })
+    })
+  })
+
+  describe('#getOwnedDoc()', () => {
+    function setup (doc) {
+      const mongodb = { find: mock.fn(async () => doc ? [doc] : []) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      return { instance, mongodb }
+    }
+
+    it('should return a document owned by the requesting user', async () => {
+      const { instance } = setup({ _id: 'd1', createdBy: 'u1' })
+      const req = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'u1' } } }
+
+      assert.deepEqual(await instance.getOwnedDoc(req), { _id: 'd1', createdBy: 'u1' })
+    })
+
+    it('should allow users who may transfer ownership', async () => {
+      const { instance } = setup({ _id: 'd1', createdBy: 'u1' })
+      const req = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'admin' }, scopes: ['transfer:ownership'] } }
+
+      await assert.doesNotReject(() => instance.getOwnedDoc(req))
+    })
+
+    it('should reject users who do not own the document', async () => {
+      const { instance } = setup({ _id: 'd1', createdBy: 'u1' })
+      const req = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'u2' }, scopes: [] } }
+
+      await assert.rejects(() => instance.getOwnedDoc(req), { message: 'Not owner' })
+    })
+
+    it('should throw NOT_FOUND for an unregistered collection', async () => {
+      const { instance, mongodb } = setup({ _id: 'd1', createdBy: 'u1' })
+      const req = { params: { collection: 'other', _id: 'd1' }, auth: { user: { _id: 'u1' } } }
+
+      await assert.rejects(() => instance.getOwnedDoc(req), { message: 'Not found' })
+      assert.equal(mongodb.find.mock.calls.length, 0)
+    })
+
+    it('should check ownership against the module\'s createdBy field', async () => {
+      const { instance, mongodb } = setup({ _id: 'd1', author: 'u1', createdBy: 'u2' })
+      instance.moduleOptions.set(instance.registeredModules[0], { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, createdBy: 'author' } })
+      const owner = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'u1' }, scopes: [] } }
+      const other = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'u2' }, scopes: [] } }
+
+      await assert.doesNotReject(() => instance.getOwnedDoc(owner))
+      await assert.rejects(() => instance.getOwnedDoc(other), { message: 'Not owner' })
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments[2], { projection: { author: 1, owners: 1 } })
+    })
+  })
+
+  describe('#addOwner()', () => {
+    it('should add an existing user to the co-owners', async () => {
+      const mongodb = { update: mock.fn(async () => ({ owners: ['u2'] })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.userCache = createMockCache([{ _id: 'u2' }])
+
+      const owners = await instance.addOwner('content', { _id: 'd1', createdBy: 'u1' }, 'u2')
+
+      assert.deepEqual(owners, ['u2'])
+      const [collection, query, update] = mongodb.update.mock.calls[0].arguments
+      assert.equal(collection, 'content')
+      assert.deepEqual(query, { _id: 'd1' })
+      assert.deepEqual(update.$addToSet, { owners: 'u2' })
+      assert.equal(update.$push.ownershipHistory.action, 'addOwner')
+      assert.equal(update.$push.ownershipHistory.newOwner, 'u2')
+    })
+
+    it('should not write when the user is already a co-owner', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      const owners = await instance.addOwner('content', { _id: 'd1', createdBy: 'u1', owners: ['u2'] }, 'u2')
+
+      assert.deepEqual(owners, ['u2'])
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should recognise a co-owner stored as an ObjectId', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+      const owners = [parseObjectId(userId)]
+
+      assert.equal(await instance.addOwner('content', { _id: 'd1', createdBy: 'u1', owners }, userId), owners)
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should refuse to add the creator as a co-owner', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await assert.rejects(() => instance.addOwner('content', { _id: 'd1', createdBy: 'u1' }, 'u1'), { message: 'Invalid owner' })
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should refuse to add the creator held in the module\'s createdBy field', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const mod = { collectionName: 'content' }
+      instance.registeredModules = [mod]
+      instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, createdBy: 'author' } })
+
+      await assert.rejects(() => instance.addOwner('content', { _id: 'd1', author: 'u1' }, 'u1'), { message: 'Invalid owner' })
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should refuse to add a user who does not exist', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.userCache = createMockCache([])
+
+      await assert.rejects(() => instance.addOwner('content', { _id: 'd1', createdBy: 'u1' }, 'u2'), { message: 'Not found' })
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+  })
+
+  describe('#removeOwner()', () => {
+    it('should pull the user from the co-owners', async () => {
+      const mongodb = { update: mock.fn(async () => ({ owners: [] })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      const owners = await instance.removeOwner('content', { _id: 'd1', owners: ['u2'] }, 'u2')
+
+      assert.deepEqual(owners, [])
+      const [, query, update] = mongodb.update.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: 'd1' })
+      assert.deepEqual(update.$pull, { owners: 'u2' })
+      assert.equal(update.$push.ownershipHistory.action, 'removeOwner')
+      assert.equal(update.$push.ownershipHistory.previousOwner, 'u2')
+    })
+
+    it('should not write when the user is not a co-owner', async () => {
+      const mongodb = { update: mock.fn() }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      assert.deepEqual(await instance.removeOwner('content', { _id: 'd1' }, 'u2'), [])
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+
+    it('should remove a co-owner stored as an ObjectId', async () => {
+      const mongodb = { update: mock.fn(async () => ({ owners: [] })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+      assert.deepEqual(await instance.removeOwner('content', { _id: 'd1', owners: [parseObjectId(userId)] }, userId), [])
+      const [, , update] = mongodb.update.mock.calls[0].arguments
+      assert.deepEqual(update.$pull, { owners: userId })
+    })
+  })
+
+  describe('#recordCreatorChange()', () => {
+    function setup () {
+      const mongodb = { update: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      return { instance, mongodb }
+    }
+    const mod = { collectionName: 'content' }
+
+    it('should push a history entry when an update changes the creator', async () => {
+      const { instance, mongodb } = setup()
+
+      await instance.recordCreatorChange(mod, { _id: 'd1', createdBy: 'u1', ownershipHistory: [{ action: 'addOwner' }] }, { _id: 'd1', createdBy: 'u2' })
+
+      const [collection, query, update] = mongodb.update.mock.calls[0].arguments
+      assert.equal(collection, 'content')
+      assert.deepEqual(query, { _id: 'd1' })
+      const entry = update.$push.ownershipHistory
+      assert.equal(entry.previousOwner, 'u1')
+      assert.equal(entry.newOwner, 'u2')
+      assert.equal(entry.reason, 'update')
+    })
+
+    it('should use a mapped creator field', async () => {
+      const { instance, mongodb } = setup()
+
+      await instance.recordCreatorChange(mod, { _id: 'd1', author: 'u1' }, { _id: 'd1', author: 'u2' }, 'author')
+
+      assert.equal(mongodb.update.mock.calls[0].arguments[2].$push.ownershipHistory.previousOwner, 'u1')
+    })
+
+    it('should do nothing when the creator is unchanged', async () => {
+      const { instance, mongodb } = setup()
+
+      await instance.recordCreatorChange(mod, { _id: 'd1', createdBy: 'u1' }, { _id: 'd1', createdBy: 'u1' })
+
+      assert.equal(mongodb.update.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getOwnershipHistory()', () => {
+    function setup (doc) {
+      const mongodb = { find: mock.fn(async () => doc ? [doc] : []) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      return { instance, mongodb }
+    }
+
+    it('should return the original owner from the first ownership change', async () => {
+      const history = [
+        { action: 'addOwner', newOwner: 'u3' },
+        { action: 'transfer', previousOwner: 'u1', newOwner: 'u2' }
+      ]
+      const { instance } = setup({ _id: 'd1', createdBy: 'u2', owners: ['u3'], ownershipHistory: history })
+
+      assert.deepEqual(await instance.getOwnershipHistory('content', 'd1'), {
+        originalOwner: 'u1',
+        createdBy: 'u2',
+        owners: ['u3'],
+        history
+      })
+    })
+
+    it('should use the creator as original owner when ownership has never changed', async () => {
+      const { instance } = setup({ _id: 'd1', createdBy: 'u1' })
+
+      assert.deepEqual(await instance.getOwnershipHistory('content', 'd1'), { originalOwner: 'u1', createdBy: 'u1', owners: [], history: [] })
+    })
+
+    it('should read the creator from the module\'s createdBy field', async () => {
+      const { instance, mongodb } = setup({ _id: 'd1', author: 'u1' })
+      instance.moduleOptions.set(instance.registeredModules[0], { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, createdBy: 'author' } })
+
+      assert.deepEqual(await instance.getOwnershipHistory('content', 'd1'), { originalOwner: 'u1', createdBy: 'u1', owners: [], history: [] })
+      assert.deepEqual(mongodb.find.mock.calls[0].arguments[2], { projection: { author: 1, owners: 1, ownershipHistory: 1 } })
+    })
+
+    it('should throw NOT_FOUND for a missing document or unregistered collection', async () => {
+      const { instance, mongodb } = setup()
+
+      await assert.rejects(() => instance.getOwnershipHistory('content', 'd1'), { message: 'Not found' })
+      await assert.rejects(() => instance.getOwnershipHistory('other', 'd1'), { message: 'Not found' })
+      assert.equal(mongodb.find.mock.calls.length, 1)
+    })
+  })
+
+  describe('#getOwnershipHistoryHandler()', () => {
+    function setup ({ canAccess = true } = {}) {
+      const mongodb = { find: mock.fn(async () => [{ _id: 'd1', createdBy: 'u1' }]) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      instance.canAccessDoc = mock.fn(async () => canAccess)
+      return { instance, res: { json: mock.fn() }, next: mock.fn() }
+    }
+
+    it('should respond with the lineage of documents the user can access', async () => {
+      const { instance, res, next } = setup()
+
+      await instance.getOwnershipHistoryHandler({ params: { collection: 'content', _id: 'd1' } }, res, next)
+
+      assert.deepEqual(instance.canAccessDoc.mock.calls[0].arguments.slice(1), ['content', { _id: 'd1', createdBy: 'u1' }])
+      assert.equal(res.json.mock.calls[0].arguments[0].originalOwner, 'u1')
+    })
+
+    it('should pass NOT_FOUND to next for documents the user cannot access', async () => {
+      const { instance, res, next } = setup({ canAccess: false })
+
+      await instance.getOwnershipHistoryHandler({ params: { collection: 'content', _id: 'd1' } }, res, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Not found')
+      assert.equal(res.json.mock.calls.length, 0)
+    })
+  })
+
+  describe('#hasScope()', () => {
+    const { instance } = createInstance()
+    it('should return true when the user has the scope', () => {
+      assert.equal(instance.hasScope({ auth: { scopes: ['read:content', 'transfer:ownership'] } }, 'transfer:ownership'), true)
+    })
+    it('should return true for super users', () => {
+      assert.equal(instance.hasScope({ auth: { isSuper: true, scopes: [] } }, 'transfer:ownership'), true)
+    })
+    it('should return false otherwise', () => {
+      assert.equal(instance.hasScope({ auth: { scopes: ['read:content'] } }, 'transfer:ownership'), false)
+      assert.equal(instance.hasScope({}, 'transfer:ownership'), false)
+    })
+  })
+
+  describe('#backfillAuthored()', () => {
+    function setup ({ missing = 1, config = { backfillFallbackUser: 'fallback' } } = {}) {
+      const collection = {
+        countDocuments: mock.fn(async () => missing),
+        updateMany: mock.fn(async () => ({ modifiedCount: missing }))
+      }
+      const mongodb = { getCollection: mock.fn(() => collection) }
+      const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      mockApp.config.get = mock.fn(key => config[key.split('.').pop()])
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'content' }, { name: 'nocollection' }]
+      instance.log = mock.fn()
+      return { instance, mongodb, collection }
+    }
+
+    it('should fill in missing fields once per collection and report the changes', async () => {
+      const { instance, mongodb, collection } = setup()
+
+      const result = await instance.backfillAuthored()
+
+      assert.deepEqual(mongodb.getCollection.mock.calls.map(c => c.arguments[0]), ['content'])
+      assert.equal(collection.updateMany.mock.calls.length, 1)
+      assert.deepEqual(collection.updateMany.mock.calls[0].arguments[1][0].$set.createdBy, { $ifNull: ['$createdBy', 'fallback'] })
+      assert.deepEqual(result, {
+        dryRun: false,
+        fallbackUser: 'fallback',
+        collections: { content: { missing: { createdAt: 1, createdBy: 1, updatedAt: 1 }, modified: 1 } }
+      })
+    })
+
+    it('should write the fallback user as an ObjectId', async () => {
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+      const { instance, collection } = setup({ config: { backfillFallbackUser: userId } })
+
+      await instance.backfillAuthored()
+
+      assert.deepEqual(collection.updateMany.mock.calls[0].arguments[1][0].$set.createdBy, { $ifNull: ['$createdBy', parseObjectId(userId)] })
+    })
+
+    it('should not write when nothing is missing', async () => {
+      const { instance, collection } = setup({ missing: 0 })
+
+      const result = await instance.backfillAuthored()
+
+      assert.equal(collection.updateMany.mock.calls.length, 0)
+      assert.equal(result.collections.content.modified, 0)
+    })
+
+    it('should only report on a dry run', async () => {
+      const { instance, collection } = setup()
+
+      const result = await instance.backfillAuthored({ dryRun: true })
+
+      assert.equal(collection.updateMany.mock.calls.length, 0)
+      assert.equal(result.collections.content.missing.createdBy, 1)
+    })
+
+    it('should fall back to the system actor', async () => {
+      const { instance } = setup({ config: { systemActorId: 'system' } })
+      assert.equal((await instance.backfillAuthored({ dryRun: true })).fallbackUser, 'system')
+    })
+
+    it('should warn when there is no fallback user', async () => {
+      const { instance, collection } = setup({ config: {} })
+
+      await instance.backfillAuthored()
+
+      assert.equal(instance.log.mock.calls[0].arguments[0], 'warn')
+      assert.equal(collection.updateMany.mock.calls[0].arguments[1][0].$set.createdBy, undefined)
+    })
+  })
+
+  describe('#ensureIndexes()', () => {
+    it('should set each authored index on the collection', async () => {
+      const mongodb = { setIndex: mock.fn(async () => {}) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+
+      await instance.ensureIndexes('content')
+
+      assert.deepEqual(mongodb.setIndex.mock.calls.map(c => c.arguments), [
+        ['content', { createdBy: 1 }],
+        ['content', { updatedAt: 1 }],
+        ['content', { _courseId: 1, updatedAt: 1 }]
+      ])
+    })
+
+    it('should log rather than throw on failure', async () => {
+      const mongodb = { setIndex: mock.fn(async () => { throw new Error('boom') }) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.log = mock.fn()
+
+      await assert.doesNotReject(() => instance.ensureIndexes('content'))
+      assert.equal(instance.log.mock.calls[0].arguments[0], 'warn')
+    })
+
+    it('should be called by registerModule when manageIndexes is enabled', async () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.config.get = mock.fn(key => key.endsWith('.manageIndexes'))
+      instance.ensureIndexes = mock.fn(async () => {})
+
+      await instance.registerModule({ ...createMockMod(), collectionName: 'content' })
+
+      assert.deepEqual(instance.ensureIndexes.mock.calls[0].arguments, ['content', [{ createdBy: 1 }, { updatedAt: 1 }, { _courseId: 1, updatedAt: 1 }]])
+    })
+
+    it('should not be called by registerModule when manageIndexes is disabled', async () => {
+      const { instance } = createInstance()
+      instance.ensureIndexes = mock.fn(async () => {})
+
+      await instance.registerModule({ ...createMockMod(), collectionName: 'content' })
+
+      assert.equal(instance.ensureIndexes.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getIndexDiagnostics()', () => {
+    it('should report missing authored indexes and unused indexes', async () => {
+      const collection = {
+        indexes: mock.fn(async () => [{ name: '_id_', key: { _id: 1 } }, { name: 'createdBy_1', key: { createdBy: 1 } }, { name: 'title_1', key: { title: 1 } }]),
+        aggregate: mock.fn(() => ({
+          toArray: async () => [
+            { name: '_id_', key: { _id: 1 }, accesses: { ops: 0, since: 'then' } },
+            { name: 'createdBy_1', key: { createdBy: 1 }, accesses: { ops: 12, since: 'then' } },
+            { name: 'title_1', key: { title: 1 }, accesses: { ops: 0, since: 'then' } }
+          ]
+        }))
+      }
+      const mongodb = { getCollection: mock.fn(() => collection) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+
+      const diagnostics = await instance.getIndexDiagnostics()
+
+      assert.deepEqual(collection.aggregate.mock.calls[0].arguments[0], [{ $indexStats: {} }])
+      assert.deepEqual(diagnostics, {
+        content: {
+          missing: [{ updatedAt: 1 }, { _courseId: 1, updatedAt: 1 }],
+          unused: [{ name: 'title_1', key: { title: 1 }, since: 'then' }]
+        }
+      })
+    })
+  })
+
+  describe('#getExpectedVersion()', () => {
+    const { instance } = createInstance()
+
+    it('should prefer the If-Match header', () => {
+      const req = { headers: { 'if-match': '"1", "2"', 'if-unmodified-since': 'Mon, 01 Jan 2024 10:00:00 GMT' }, apiData: { data: {} } }
+      assert.deepEqual(instance.getExpectedVersion(req), { etags: ['"1"', '"2"'] })
+    })
+
+    it('should use the If-Unmodified-Since header', () => {
+      const req = { headers: { 'if-unmodified-since': 'Mon, 01 Jan 2024 10:00:00 GMT' }, apiData: { data: { updatedAt: 'x' } } }
+      assert.deepEqual(instance.getExpectedVersion(req), { unmodifiedSince: Date.parse('Mon, 01 Jan 2024 10:00:00 GMT') })
+    })
+
+    it('should fall back to the updatedAt sent with the update', () => {
+      const req = { headers: {}, apiData: { data: { updatedAt: '2024-01-01T10:00:00.000Z' } } }
+      assert.deepEqual(instance.getExpectedVersion(req), { updatedAt: '2024-01-01T10:00:00.000Z' })
+    })
+
+    it('should return undefined when no version is given', () => {
+      assert.equal(instance.getExpectedVersion({ headers: {}, apiData: { data: {} } }), undefined)
+    })
+  })
+
+  describe('#checkUpdateConflict()', () => {
+    const ogDoc = { _id: 'd1', updatedAt: '2024-01-01T10:00:00.000Z', updatedBy: 'u2' }
+    const check = (instance, expectedVersion, doc = ogDoc) => {
+      const req = { apiData: { expectedVersion, expectedVersionId: 'd1' } }
+      return instance.requestContext.run({ req }, () => instance.checkUpdateConflict(doc))
+    }
+
+    it('should reject an update to a document modified since it was loaded', () => {
+      const { instance, mockApp } = createInstance()
+
+      assert.throws(() => check(instance, { updatedAt: '2024-01-01T09:00:00.000Z' }), { message: 'Update conflict' })
+      assert.deepEqual(mockApp.errors.UPDATE_CONFLICT.setData.mock.calls[0].arguments[0], {
+        id: 'd1',
+        updatedAt: ogDoc.updatedAt,
+        updatedBy: 'u2',
+        doc: ogDoc
+      })
+    })
+
+    it('should allow an update to the expected version', () => {
+      const { instance } = createInstance()
+      assert.doesNotThrow(() => check(instance, { updatedAt: ogDoc.updatedAt }))
+    })
+
+    it('should report the conflicting edit from the module\'s own fields', () => {
+      const { instance, mockApp } = createInstance()
+      const doc = { _id: 'd1', modified: '2024-01-01T10:00:00.000Z', editor: 'u3', updatedBy: 'u2' }
+      const req = { apiData: { expectedVersion: { updatedAt: '2024-01-01T09:00:00.000Z' }, expectedVersionId: 'd1' } }
+
+      assert.throws(() => instance.requestContext.run({ req }, () => instance.checkUpdateConflict(doc, 'modified', 'editor')), { message: 'Update conflict' })
+      assert.deepEqual(mockApp.errors.UPDATE_CONFLICT.setData.mock.calls[0].arguments[0], { id: 'd1', updatedAt: doc.modified, updatedBy: 'u3', doc })
+    })
+
+    it('should allow an update to a document only bumped since it was loaded', () => {
+      const { instance } = createInstance()
+      const course = { ...ogDoc, updatedAt: '2024-01-01T11:00:00.000Z', editedAt: '2024-01-01T09:00:00.000Z' }
+
+      assert.doesNotThrow(() => check(instance, { updatedAt: '2024-01-01T10:00:00.000Z' }, course))
+      assert.throws(() => check(instance, { updatedAt: '2024-01-01T08:00:00.000Z' }, course), { message: 'Update conflict' })
+    })
+
+    it('should only check the requested document', () => {
+      const { instance } = createInstance()
+      assert.doesNotThrow(() => check(instance, { updatedAt: '2024-01-01T09:00:00.000Z' }, { ...ogDoc, _id: 'course1' }))
+    })
+
+    it('should allow updates which give no expected version', () => {
+      const { instance } = createInstance()
+      assert.doesNotThrow(() => check(instance, undefined))
+      assert.doesNotThrow(() => instance.checkUpdateConflict(ogDoc))
+    })
+
+    it('should run before the update is stamped', async () => {
+      const { instance } = createInstance()
+      const mod = createMockMod()
+      await instance.registerModule(mod)
+      instance.updateTimestamps = mock.fn(async () => {})
+      const onUpdate = mod.preUpdateHook.tap.mock.calls[0].arguments[0]
+      const req = { apiData: { expectedVersion: { updatedAt: '2024-01-01T09:00:00.000Z' }, expectedVersionId: 'd1' } }
+
+      await assert.rejects(() => instance.requestContext.run({ req }, () => onUpdate(ogDoc, {})), { message: 'Update conflict' })
+      assert.equal(instance.updateTimestamps.mock.calls.length, 0)
+    })
+
+    it('should be given the expected version and requested document by updateAuthor', async () => {
+      const { instance } = createInstance()
+      const req = {
+        method: 'PATCH',
+        headers: {},
+        apiData: { modifying: true, query: { _id: 'd1' }, data: { title: 'x', updatedAt: ogDoc.updatedAt } },
+        auth: { user: { _id: 'u1' } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.deepEqual(req.apiData.expectedVersion, { updatedAt: ogDoc.updatedAt })
+      assert.equal(req.apiData.expectedVersionId, 'd1')
+      assert.equal(req.apiData.data.updatedAt, undefined)
+    })
+  })
+
+  describe('#cacheHeadersMiddleware()', () => {
+    function setup ({ method = 'GET', fresh = false, reqHeaders = {} } = {}) {
+      const { instance } = createInstance()
+      const headers = {}
+      const json = mock.fn()
+      const res = {
+        statusCode: 200,
+        json,
+        set: mock.fn((k, v) => { headers[k] = v }),
+        status: mock.fn(function (code) { this.statusCode = code; return this }),
+        end: mock.fn()
+      }
+      const next = mock.fn()
+      instance.cacheHeadersMiddleware({ method, fresh, headers: reqHeaders }, res, next)
+      return { res, json, headers, next }
+    }
+    const updatedAt = '2024-01-01T10:00:00.000Z'
+
+    it('should set Last-Modified and ETag from the document updatedAt and content', () => {
+      const { res, json, headers, next } = setup()
+      const doc = { _id: 'd1', updatedAt }
+
+      res.json(doc)
+
+      assert.equal(next.mock.calls.length, 1)
+      assert.equal(headers.ETag, toETag(updatedAt, doc))
+      assert.equal(headers['Last-Modified'], new Date(updatedAt).toUTCString())
+      assert.equal(json.mock.calls.length, 1)
+    })
+
+    it('should change the ETag for changes which leave updatedAt alone', () => {
+      const { res, headers } = setup()
+      res.json({ _id: 'd1', updatedAt, owners: [] })
+      const { res: res2, headers: headers2 } = setup()
+      res2.json({ _id: 'd1', updatedAt, owners: ['u2'] })
+
+      assert.notEqual(headers.ETag, headers2.ETag)
+    })
+
+    it('should use the newest updatedAt for query results', () => {
+      const { res, headers } = setup()
+      const docs = [{ updatedAt: '2023-01-01T00:00:00.000Z' }, { updatedAt }, {}]
+
+      res.json(docs)
+
+      assert.equal(headers.ETag, toETag(updatedAt, docs))
+      assert.equal(headers['Last-Modified'], new Date(updatedAt).toUTCString())
+    })
+
+    it('should respond 304 to a conditional request for unchanged data', () => {
+      const { res, json } = setup({ fresh: true, reqHeaders: { 'if-none-match': '"tag"' } })
+
+      res.json({ updatedAt })
+
+      assert.equal(res.statusCode, 304)
+      assert.equal(res.end.mock.calls.length, 1)
+      assert.equal(json.mock.calls.length, 0)
+    })
+
+    it('should not respond 304 to If-Modified-Since alone', () => {
+      const { res, json } = setup({ fresh: true, reqHeaders: { 'if-modified-since': new Date(updatedAt).toUTCString() } })
+
+      res.json({ updatedAt })
+
+      assert.equal(res.statusCode, 200)
+      assert.equal(json.mock.calls.length, 1)
+    })
+
+    it('should leave responses without updatedAt alone', () => {
+      const { res, json } = setup({ fresh: true })
+
+      res.json({ _id: 'd1' })
+
+      assert.equal(res.set.mock.calls.length, 0)
+      assert.equal(json.mock.calls.length, 1)
+    })
+
+    it('should leave non-GET requests alone', () => {
+      const { res, json, next } = setup({ method: 'PATCH' })
+
+      assert.equal(res.json, json)
+      assert.equal(next.mock.calls.length, 1)
+    })
+
+    it('should be added to the module router by registerModule', async () => {
+      const { instance } = createInstance()
+      const mod = { ...createMockMod(), router: { addHandlerMiddleware: mock.fn() } }
+
+      await instance.registerModule(mod)
+
+      assert.equal(mod.router.addHandlerMiddleware.mock.calls.length, 1)
+    })
+
+    it('should not be added when the module opts out', async () => {
+      const { instance } = createInstance()
+      const mod = { ...createMockMod(), router: { addHandlerMiddleware: mock.fn() } }
+
+      await instance.registerModule(mod, { cacheHeaders: false })
+
+      assert.equal(mod.router.addHandlerMiddleware.mock.calls.length, 0)
+    })
+  })
+
+  describe('#getAuthoringStats()', () => {
+    it('should total the counts per user, collection and period', async () => {
+      const rows = [
+        { _id: { user: 'u1', collection: 'content', action: 'created', period: '2024-01-01' }, count: 3 },
+        { _id: { user: 'u1', collection: 'content', action: 'updated', period: '2024-01-02' }, count: 2 },
+        { _id: { user: 'u1', collection: 'assets', action: 'created', period: '2024-01-01' }, count: 1 },
+        { _id: { user: 'u2', collection: 'content', action: 'updated', period: '2024-01-01' }, count: 4 },
+        { _id: { collection: 'content', action: 'created', period: '2024-01-01' }, count: 9 }
+      ]
+      const aggregate = mock.fn(() => ({ toArray: async () => rows }))
+      const mongodb = { getCollection: mock.fn(() => ({ aggregate })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }, { collectionName: 'content' }]
+
+      const stats = await instance.getAuthoringStats({ from: '2024-01-01T00:00:00.000Z', to: '2024-02-01T00:00:00.000Z', interval: 'week' })
+
+      const unions = aggregate.mock.calls[0].arguments[0].filter(s => s.$unionWith)
+      assert.equal(unions.length, 3)
+      assert.deepEqual(stats, {
+        u1: {
+          created: 4,
+          updated: 2,
+          collections: { content: { created: 3, updated: 2 }, assets: { created: 1, updated: 0 } },
+          periods: { '2024-01-01': { created: 4, updated: 0 }, '2024-01-02': { created: 0, updated: 2 } }
+        },
+        u2: {
+          created: 0,
+          updated: 4,
+          collections: { content: { created: 0, updated: 4 } },
+          periods: { '2024-01-01': { created: 0, updated: 4 } }
+        }
+      })
+    })
+
+    it('should match the user as an ObjectId', async () => {
+      const aggregate = mock.fn(() => ({ toArray: async () => [] }))
+      const mongodb = { getCollection: mock.fn(() => ({ aggregate })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.registeredModules = [{ collectionName: 'content' }]
+      const userId = '5f0c5d1e2b3a4c5d6e7f8a9b'
+
+      await instance.getAuthoringStats({ from: '2024-01-01T00:00:00.000Z', to: '2024-02-01T00:00:00.000Z', userId })
+
+      const [{ $match }] = aggregate.mock.calls[0].arguments[0]
+      assert.deepEqual($match.createdBy, parseObjectId(userId))
+    })
+
+    it('should return an empty object when no collections are registered', async () => {
+      const { instance } = createInstance()
+      assert.deepEqual(await instance.getAuthoringStats(), {})
+    })
+  })
+
+  describe('#statsHandler()', () => {
+    function setup () {
+      const { instance } = createInstance()
+      instance.getAuthoringStats = mock.fn(async () => ({ u1: {} }))
+      return { instance, res: { json: mock.fn() }, next: mock.fn() }
+    }
+
+    it('should default to daily counts over the last 30 days', async () => {
+      const { instance, res } = setup()
+
+      await instance.statsHandler({ query: {} }, res)
+
+      const { from, to, interval } = instance.getAuthoringStats.mock.calls[0].arguments[0]
+      assert.equal(interval, 'day')
+      assert.equal(Date.parse(to) - Date.parse(from), 30 * 86400000)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0].users, { u1: {} })
+    })
+
+    it('should pass the requested range, interval and user', async () => {
+      const { instance, res } = setup()
+
+      await instance.statsHandler({ query: { from: '2024-01-01', to: '2024-02-01', interval: 'week', userId: 'u1' } }, res)
+
+      assert.deepEqual(instance.getAuthoringStats.mock.calls[0].arguments[0], {
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-02-01T00:00:00.000Z',
+        interval: 'week',
+        userId: 'u1'
+      })
+    })
+
+    it('should reject invalid parameters', async () => {
+      const { instance, res, next } = setup()
+
+      await instance.statsHandler({ query: { from: 'nope', interval: 'year' } }, res, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params')
+      assert.deepEqual(instance.app.errors.INVALID_PARAMS.setData.mock.calls[0].arguments[0], { params: ['from', 'interval'] })
+    })
+  })
+
+  describe('#emit()', () => {
+    const tick = () => new Promise(resolve => setImmediate(resolve))
+
+    it('should invoke the hook with a normalized payload', async () => {
+      const { instance } = createInstance()
+      const hook = { invoke: mock.fn(async () => {}) }
+
+      const payload = instance.emit(hook, { actor: 'u1', action: 'update', collection: 'content', ids: [{ toString: () => 'd1' }], courseId: 'c1', extra: true })
+      await tick()
+
+      assert.deepEqual(payload, { actor: 'u1', action: 'update', collection: 'content', ids: ['d1'], courseId: 'c1', extra: true })
+      assert.deepEqual(hook.invoke.mock.calls[0].arguments, [payload])
+    })
+
+    it('should default the actor to the current actor and the course to null', () => {
+      const { instance } = createInstance()
+      instance.getActor = mock.fn(() => 'actor1')
+
+      const payload = instance.emit({ invoke: mock.fn() }, { action: 'delete', collection: 'content' })
+
+      assert.equal(payload.actor, 'actor1')
+      assert.equal(payload.courseId, null)
+      assert.deepEqual(payload.ids, [])
+    })
+
+    it('should log rather than throw when a listener fails', async () => {
+      const { instance } = createInstance()
+      instance.log = mock.fn()
+      const hook = { invoke: mock.fn(async () => { throw new Error('boom') }) }
+
+      assert.doesNotThrow(() => instance.emit(hook, { action: 'insert', collection: 'content' }))
+      await tick()
+
+      assert.equal(instance.log.mock.calls[0].arguments[0], 'warn')
+    })
+  })
+
+  describe('#emitChanged()', () => {
+    it('should be tapped into the post-write hooks of registered modules', async () => {
+      const { instance } = createInstance()
+      const mod = { ...createMockMod(), collectionName: 'content' }
+      await instance.registerModule(mod)
+      instance.emitChanged = mock.fn()
+
+      await mod.postInsertHook.tap.mock.calls.at(-1).arguments[0]({ _id: 'd1' })
+      await mod.postUpdateHook.tap.mock.calls.at(-1).arguments[0]({ _id: 'd1', v: 1 }, { _id: 'd1', v: 2 })
+      await mod.postDeleteHook.tap.mock.calls.at(-1).arguments[0]({ _id: 'd1' })
+
+      assert.deepEqual(instance.emitChanged.mock.calls.map(c => c.arguments), [
+        [mod, 'insert', { _id: 'd1' }],
+        [mod, 'update', { _id: 'd1', v: 2 }, { _id: 'd1', v: 1 }],
+        [mod, 'delete', { _id: 'd1' }]
+      ])
+    })
+
+    it('should emit the changed event with the document', () => {
+      const { instance } = createInstance()
+      instance.emit = mock.fn()
+      const doc = { _id: 'd1', _courseId: 'c1' }
+
+      instance.emitChanged({ collectionName: 'content' }, 'insert', doc)
+
+      assert.equal(instance.emit.mock.calls.length, 1)
+      assert.deepEqual(instance.emit.mock.calls[0].arguments, [instance.changedHook, { collection: 'content', ids: ['d1'], courseId: 'c1', action: 'insert', doc }])
+    })
+
+    it('should also emit ownershipTransferred when an update changes the creator', () => {
+      const { instance } = createInstance()
+      instance.emit = mock.fn()
+
+      instance.emitChanged({ collectionName: 'content' }, 'update', { _id: 'd1', createdBy: 'u2' }, { _id: 'd1', createdBy: 'u1' })
+
+      const [hook, payload] = instance.emit.mock.calls[1].arguments
+      assert.equal(hook, instance.ownershipTransferredHook)
+      assert.equal(payload.from, 'u1')
+      assert.equal(payload.to, 'u2')
+    })
+  })
+
+  describe('authored events', () => {
+    it('should emit courseTouched when a course is bumped', async () => {
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => ({ update: mock.fn(async () => {}) })) })
+      instance.courseCache = createMockCache([{ _id: 'course1' }])
+      instance.emit = mock.fn()
+
+      await instance.updateCourseTimestamp({ _courseId: 'course1', updatedBy: 'u1' })
+
+      const [hook, payload] = instance.emit.mock.calls[0].arguments
+      assert.equal(hook, instance.courseTouchedHook)
+      assert.equal(payload.actor, 'u1')
+      assert.deepEqual(payload.ids, ['course1'])
+      assert.equal(payload.courseId, 'course1')
+    })
+
+    it('should emit ownershipTransferred for each collection moved by a transfer', async () => {
+      const mongodb = {
+        getCollection: mock.fn(() => ({ updateMany: mock.fn(async () => ({ modifiedCount: 1 })) })),
+        update: mock.fn(async () => {})
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.supportsTransactions = mock.fn(async () => false)
+      instance.emit = mock.fn()
+      const journal = { _id: 'j1', from: 'u1', to: 'u2', actor: 'admin', reason: 'api', collections: { content: { ids: ['c1'], coOwnedIds: ['c2'] } } }
+
+      await instance.runTransfer(journal)
+
+      const [hook, payload] = instance.emit.mock.calls[0].arguments
+      assert.equal(hook, instance.ownershipTransferredHook)
+      assert.deepEqual(payload, { actor: 'admin', action: 'transfer', collection: 'content', ids: ['c1', 'c2'], from: 'u1', to: 'u2', reason: 'api', journalId: 'j1' })
+    })
+
+    it('should emit ownershipTransferred when co-owners change', async () => {
+      const mongodb = { update: mock.fn(async () => ({ owners: [] })) }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      instance.emit = mock.fn()
+
+      await instance.removeOwner('content', { _id: 'd1', owners: ['u2'] }, 'u2')
+
+      const [hook, payload] = instance.emit.mock.calls[0].arguments
+      assert.equal(hook, instance.ownershipTransferredHook)
+      assert.equal(payload.action, 'removeOwner')
+      assert.equal(payload.from, 'u2')
+    })
+  })
+
+  describe('#canAccessDoc()', () => {
+    function setup (results) {
+      const { instance } = createInstance()
+      const mod = { collectionName: 'content', accessCheckHook: { invoke: mock.fn(async () => results) } }
+      instance.registeredModules = [mod]
+      return { instance, mod }
+    }
+    const doc = { _id: 'd1', createdBy: 'u1' }
+
+    it('should use the access checks of the module', async () => {
+      const { instance, mod } = setup([false, true])
+      const req = { auth: { user: { _id: 'u2' } } }
+
+      assert.equal(await instance.canAccessDoc(req, 'content', doc), true)
+      assert.deepEqual(mod.accessCheckHook.invoke.mock.calls[0].arguments, [req, doc])
+    })
+
+    it('should deny access when no check passes', async () => {
+      const { instance } = setup([false])
+      assert.equal(await instance.canAccessDoc({ auth: {} }, 'content', doc), false)
+    })
+
+    it('should allow access when the module has no access checks', async () => {
+      const { instance } = setup([])
+      assert.equal(await instance.canAccessDoc({ auth: {} }, 'content', doc), true)
+    })
+
+    it('should allow super users', async () => {
+      const { instance, mod } = setup([false])
+      assert.equal(await instance.canAccessDoc({ auth: { isSuper: true } }, 'content', doc), true)
+      assert.equal(mod.accessCheckHook.invoke.mock.calls.length, 0)
+    })
+
+    it('should deny access to unregistered collections', async () => {
+      const { instance } = setup([true])
+      assert.equal(await instance.canAccessDoc({ auth: {} }, 'other', doc), false)
+    })
+  })
+
+  describe('#changesStreamHandler()', () => {
+    function setup (query = {}) {
+      const { instance } = createInstance()
+      instance.canAccessDoc = mock.fn(async (req, collection, doc) => doc.readable)
+      const req = Object.assign(new EventEmitter(), { query, auth: { user: { _id: 'u1' } } })
+      const res = { set: mock.fn(), flushHeaders: mock.fn(), write: mock.fn() }
+      instance.changesStreamHandler(req, res, mock.fn())
+      const emit = payload => instance.notifyChangeSubscribers(payload)
+      return { instance, req, res, emit }
+    }
+    const change = (courseId, readable = true) => ({ actor: 'u2', action: 'update', collection: 'content', ids: ['d1'], courseId, doc: { readable } })
+
+    it('should open an event stream', () => {
+      const { req, res } = setup()
+      assert.equal(res.set.mock.calls[0].arguments[0]['Content-Type'], 'text/event-stream')
+      assert.equal(res.flushHeaders.mock.calls.length, 1)
+      req.emit('close')
+    })
+
+    it('should write readable changes as events', async () => {
+      const { req, res, emit } = setup()
+
+      await emit(change('c1'))
+
+      assert.equal(res.write.mock.calls[0].arguments[0], `event: change\ndata: ${JSON.stringify({ actor: 'u2', action: 'update', collection: 'content', id: 'd1', courseId: 'c1' })}\n\n`)
+      req.emit('close')
+    })
+
+    it('should skip changes the user cannot read', async () => {
+      const { req, res, emit } = setup()
+
+      await emit(change('c1', false))
+
+      assert.equal(res.write.mock.calls.length, 0)
+      req.emit('close')
+    })
+
+    it('should only stream changes to the requested course', async () => {
+      const { req, res, emit } = setup({ courseId: 'c1' })
+
+      await emit(change('c2'))
+      await emit(change('c1'))
+
+      assert.equal(res.write.mock.calls.length, 1)
+      req.emit('close')
+    })
+
+    it('should stop listening when the client disconnects', async () => {
+      const { instance, req, res, emit } = setup()
+      assert.equal(instance.changeSubscribers.size, 1)
+
+      req.emit('close')
+      await emit(change('c1'))
+
+      assert.equal(instance.changeSubscribers.size, 0)
+      assert.equal(res.write.mock.calls.length, 0)
+    })
+
+    it('should notify every connected client', async () => {
+      const { instance, req, res, emit } = setup()
+      const req2 = Object.assign(new EventEmitter(), { query: {}, auth: { user: { _id: 'u3' } } })
+      const res2 = { set: mock.fn(), flushHeaders: mock.fn(), write: mock.fn() }
+      instance.changesStreamHandler(req2, res2, mock.fn())
+
+      await emit(change('c1'))
+
+      assert.equal(res.write.mock.calls.length, 1)
+      assert.equal(res2.write.mock.calls.length, 1)
+      req.emit('close')
+      req2.emit('close')
+    })
+  })
+
+  describe('edit locking', () => {
+    const future = () => new Date(Date.now() + 60000).toISOString()
+    const past = () => new Date(Date.now() - 60000).toISOString()
+    const inRequest = (instance, userId, fn) => instance.requestContext.run({ req: { auth: { user: { _id: userId } } } }, fn)
+
+    describe('#checkLock()', () => {
+      it('should reject updates from users other than the lock holder', () => {
+        const { instance, mockApp } = createInstance()
+        const doc = { _id: 'd1', lockedBy: 'u1', lockExpiresAt: future() }
+
+        assert.throws(() => inRequest(instance, 'u2', () => instance.checkLock(doc)), { message: 'Document locked' })
+        assert.equal(mockApp.errors.DOCUMENT_LOCKED.setData.mock.calls[0].arguments[0].lockedBy, 'u1')
+      })
+
+      it('should allow updates from the lock holder', () => {
+        const { instance } = createInstance()
+        const doc = { _id: 'd1', lockedBy: 'u1', lockExpiresAt: future() }
+        assert.doesNotThrow(() => inRequest(instance, 'u1', () => instance.checkLock(doc)))
+      })
+
+      it('should ignore expired locks', () => {
+        const { instance } = createInstance()
+        const doc = { _id: 'd1', lockedBy: 'u1', lockExpiresAt: past() }
+        assert.doesNotThrow(() => inRequest(instance, 'u2', () => instance.checkLock(doc)))
+      })
+
+      it('should not block server-side writes', () => {
+        const { instance } = createInstance()
+        assert.doesNotThrow(() => instance.checkLock({ _id: 'd1', lockedBy: 'u1', lockExpiresAt: future() }))
+      })
+
+      it('should be run by the preUpdateHook tap', async () => {
+        const { instance } = createInstance()
+        const mod = createMockMod()
+        await instance.registerModule(mod)
+        instance.updateTimestamps = mock.fn(async () => {})
+        const onUpdate = mod.preUpdateHook.tap.mock.calls[0].arguments[0]
+        const doc = { _id: 'd1', lockedBy: 'u1', lockExpiresAt: future() }
+
+        await assert.rejects(() => inRequest(instance, 'u2', () => onUpdate(doc, {})), { message: 'Document locked' })
+        assert.equal(instance.updateTimestamps.mock.calls.length, 0)
+      })
+    })
+
+    it('should strip lock fields from API writes', async () => {
+      const { instance } = createInstance()
+      const req = {
+        method: 'PATCH',
+        apiData: { modifying: true, data: { lockedBy: 'u9', lockedAt: 'x', lockExpiresAt: 'y' } },
+        auth: { user: { _id: 'u1' } }
+      }
+
+      await instance.updateAuthor(req)
+
+      assert.deepEqual(Object.keys(req.apiData.data), ['updatedBy'])
+    })
+
+    describe('#acquireLock()', () => {
+      function setup (matchedCount = 1, current) {
+        const updateOne = mock.fn(async () => ({ matchedCount }))
+        const mongodb = { getCollection: mock.fn(() => ({ updateOne })), find: mock.fn(async () => [current]) }
+        const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        mockApp.config.get = mock.fn(key => key.endsWith('.lockLifespan') ? 60000 : undefined)
+        return { instance, updateOne }
+      }
+
+      it('should take the lock if it is free, expired or already held by the user', async () => {
+        const { instance, updateOne } = setup()
+
+        const lock = await instance.acquireLock('content', { _id: 'd1' }, 'u1')
+
+        const [query, { $set }] = updateOne.mock.calls[0].arguments
+        assert.equal(query._id, 'd1')
+        assert.deepEqual(query.$or.slice(0, 2), [{ lockedBy: null }, { lockedBy: 'u1' }])
+        assert.ok(query.$or[2].lockExpiresAt.$lte instanceof Date)
+        assert.equal(typeof query.$or[3].lockExpiresAt.$lte, 'string')
+        assert.deepEqual($set, lock)
+        assert.equal(lock.lockedBy, 'u1')
+        assert.ok(lock.lockExpiresAt instanceof Date)
+        assert.equal(lock.lockExpiresAt - lock.lockedAt, 60000)
+      })
+
+      it('should keep the original lock time when renewing', async () => {
+        const { instance } = setup()
+        const lockedAt = new Date(Date.now() - 1000)
+
+        const lock = await instance.acquireLock('content', { _id: 'd1', lockedBy: 'u1', lockedAt, lockExpiresAt: future() }, 'u1')
+
+        assert.deepEqual(lock.lockedAt, lockedAt)
+      })
+
+      it('should let the holder renew a lock after updating the document, and others take it once expired', async () => {
+        const doc = { _id: 'd1' }
+        // compares values of the same type only, as MongoDB does
+        const matches = clause => Object.entries(clause).every(([k, v]) => {
+          if (v === null) return doc[k] == null
+          const value = v.$lte ?? v
+          if (doc[k]?.constructor !== value.constructor) return false
+          return v.$lte ? doc[k] <= value : String(doc[k]) === String(value)
+        })
+        const updateOne = mock.fn(async (query, { $set }) => {
+          if (!query.$or.some(matches)) return { matchedCount: 0 }
+          Object.assign(doc, $set)
+          return { matchedCount: 1 }
+        })
+        const mongodb = { getCollection: mock.fn(() => ({ updateOne })), find: mock.fn(async () => [doc]) }
+        const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        mockApp.config.get = mock.fn(key => key.endsWith('.lockLifespan') ? 60000 : undefined)
+        const holder = '5f0c5d1e2b3a4c5d6e7f8a9b'
+        const other = '5f0c5d1e2b3a4c5d6e7f8a9c'
+
+        await instance.acquireLock('content', { ...doc }, holder)
+        // an update through the API writes the lock back as validated by the schema
+        Object.assign(doc, { title: 'edited', lockedBy: parseObjectId(holder), lockedAt: new Date(doc.lockedAt), lockExpiresAt: new Date(doc.lockExpiresAt) })
+        const { lockedAt } = doc
+
+        await assert.doesNotReject(() => instance.acquireLock('content', { ...doc }, holder))
+        assert.deepEqual(doc.lockedAt, lockedAt)
+        await assert.rejects(() => instance.acquireLock('content', { ...doc }, other), { message: 'Document locked' })
+
+        doc.lockExpiresAt = new Date(Date.now() - 1000)
+        await instance.acquireLock('content', { ...doc }, other)
+        assert.deepEqual(doc.lockedBy, parseObjectId(other))
+      })
+
+      it('should reject when another user holds the lock', async () => {
+        const { instance } = setup(0, { _id: 'd1', lockedBy: 'u2' })
+
+        await assert.rejects(() => instance.acquireLock('content', { _id: 'd1' }, 'u1'), { message: 'Document locked' })
+        assert.equal(instance.app.errors.DOCUMENT_LOCKED.setData.mock.calls[0].arguments[0].lockedBy, 'u2')
+      })
+    })
+
+    describe('#releaseLock()', () => {
+      function setup () {
+        const updateOne = mock.fn(async () => ({}))
+        const mongodb = { getCollection: mock.fn(() => ({ updateOne })) }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        return { instance, updateOne }
+      }
+
+      it('should release a lock held by the user', async () => {
+        const { instance, updateOne } = setup()
+
+        await instance.releaseLock('content', { _id: 'd1', lockedBy: 'u1', lockExpiresAt: future() }, 'u1')
+
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: 'd1' }, { $unset: { lockedBy: '', lockedAt: '', lockExpiresAt: '' } }])
+      })
+
+      it('should refuse to release a lock held by someone else', async () => {
+        const { instance, updateOne } = setup()
+
+        await assert.rejects(() => instance.releaseLock('content', { _id: 'd1', lockedBy: 'u2', lockExpiresAt: future() }, 'u1'), { message: 'Document locked' })
+        assert.equal(updateOne.mock.calls.length, 0)
+      })
+
+      it('should force-release a lock held by someone else', async () => {
+        const { instance, updateOne } = setup()
+
+        await instance.releaseLock('content', { _id: 'd1', lockedBy: 'u2', lockExpiresAt: future() }, 'admin', { force: true })
+
+        assert.equal(updateOne.mock.calls.length, 1)
+      })
+
+      it('should do nothing for an unlocked document', async () => {
+        const { instance, updateOne } = setup()
+
+        await instance.releaseLock('content', { _id: 'd1' }, 'u1')
+
+        assert.equal(updateOne.mock.calls.length, 0)
+      })
+    })
+
+    describe('#releaseLockHandler()', () => {
+      it('should force-release for users with the unlock:authored scope', async () => {
+        const { instance } = createInstance()
+        instance.getLockableDoc = mock.fn(async () => ({ _id: 'd1' }))
+        instance.releaseLock = mock.fn(async () => {})
+        const res = { status: mock.fn(function () { return this }), end: mock.fn() }
+        const req = { params: { collection: 'content', _id: 'd1' }, auth: { user: { _id: 'admin' }, scopes: ['unlock:authored'] } }
+
+        await instance.releaseLockHandler(req, res, mock.fn())
+
+        assert.deepEqual(instance.releaseLock.mock.calls[0].arguments[3], { force: true })
+        assert.equal(res.status.mock.calls[0].arguments[0], 204)
+      })
+    })
+
+    describe('#getLockableDoc()', () => {
+      it('should throw NOT_FOUND for documents the user cannot access', async () => {
+        const mongodb = { find: mock.fn(async () => [{ _id: 'd1' }]) }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        instance.registeredModules = [{ collectionName: 'content' }]
+        instance.canAccessDoc = mock.fn(async () => false)
+
+        await assert.rejects(() => instance.getLockableDoc({ params: { collection: 'content', _id: 'd1' } }), { message: 'Not found' })
+      })
+    })
+
+    describe('#clearExpiredLocks()', () => {
+      it('should remove expired locks from each registered collection', async () => {
+        const updateMany = mock.fn(async () => ({ modifiedCount: 2 }))
+        const mongodb = { getCollection: mock.fn(() => ({ updateMany })) }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'content' }]
+
+        assert.deepEqual(await instance.clearExpiredLocks(), { content: 2 })
+        const [query, update] = updateMany.mock.calls[0].arguments
+        assert.ok(query.$or[0].lockExpiresAt.$lte instanceof Date)
+        assert.equal(typeof query.$or[1].lockExpiresAt.$lte, 'string')
+        assert.deepEqual(update, { $unset: { lockedBy: '', lockedAt: '', lockExpiresAt: '' } })
+      })
+    })
+  })
+
+  describe('per-module options', () => {
+    const fields = { createdAt: 'created', createdBy: 'author', updatedAt: 'modified', updatedBy: 'editor' }
+
+    describe('#registerModule()', () => {
+      it('should store the resolved options', async () => {
+        const { instance } = createInstance()
+        instance.extendModuleSchema = mock.fn(async () => {})
+        const mod = createMockMod()
+
+        await instance.registerModule(mod, { courseBump: false, fields: { createdBy: 'author' } })
+
+        assert.deepEqual(instance.getModuleOptions(mod), {
+          accessCheck: true,
+          revisions: false,
+          softDelete: false,
+          cacheHeaders: true,
+          timestamps: true,
+          authorship: true,
+          courseBump: false,
+          fields: { createdAt: 'createdAt', createdBy: 'author', updatedAt: 'updatedAt', updatedBy: 'updatedBy' }
+        })
+      })
+
+      it('should reject mappings of unknown fields', async () => {
+        const { instance, mockApp } = createInstance()
+        const mod = createMockMod()
+
+        await assert.rejects(() => instance.registerModule(mod, { fields: { title: 'name', createdBy: '' } }), { message: 'Invalid params' })
+        assert.deepEqual(mockApp.errors.INVALID_PARAMS.setData.mock.calls[0].arguments[0], { params: ['fields.title', 'fields.createdBy'] })
+        assert.equal(instance.registeredModules.length, 0)
+      })
+
+      it('should grant access using a mapped createdBy', async () => {
+        const { instance } = createInstance()
+        instance.extendModuleSchema = mock.fn(async () => {})
+        const mod = createMockMod()
+
+        await instance.registerModule(mod, { fields })
+        const grantItem = mod.accessCheckHook.tap.mock.calls[0].arguments[0]
+        const grantQuery = mod.accessQueryHook.tap.mock.calls[0].arguments[0]
+        const req = { auth: { user: { _id: 'u1' } }, apiData: { query: {} } }
+        grantQuery(req)
+
+        assert.equal(grantItem(req, { author: 'u1' }), true)
+        assert.equal(grantItem(req, { createdBy: 'u1' }), false)
+        assert.deepEqual(req.apiData.query.$or[0], { author: 'u1' })
+      })
+
+      it('should not bump the course on delete when courseBump is false', async () => {
+        const { instance } = createInstance()
+        instance.updateCourseTimestamp = mock.fn(async () => {})
+        const mod = createMockMod()
+
+        await instance.registerModule(mod, { courseBump: false })
+        await mod.preDeleteHook.tap.mock.calls[0].arguments[0]({ _courseId: 'c1' })
+
+        assert.equal(instance.updateCourseTimestamp.mock.calls.length, 0)
+      })
+
+      it('should not add cache headers without timestamps', async () => {
+        const { instance } = createInstance()
+        instance.extendModuleSchema = mock.fn(async () => {})
+        const mod = { ...createMockMod(), router: { addHandlerMiddleware: mock.fn() } }
+
+        await instance.registerModule(mod, { timestamps: false })
+
+        assert.equal(mod.router.addHandlerMiddleware.mock.calls.length, 0)
+      })
+    })
+
+    describe('#extendModuleSchema()', () => {
+      it('should extend with the authored schema for default options', async () => {
+        const { instance, mockJsonschema } = createInstance()
+        mockJsonschema.registerSchema = mock.fn(async () => {})
+
+        await instance.extendModuleSchema(createMockMod(), instance.getModuleOptions())
+
+        assert.deepEqual(mockJsonschema.extendSchema.mock.calls[0].arguments, ['testSchema', 'authored'])
+        assert.equal(mockJsonschema.registerSchema.mock.calls.length, 0)
+      })
+
+      it('should register and extend with a variant for non-default options', async () => {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'authored-'))
+        const { instance, mockApp, mockJsonschema } = createInstance()
+        mockApp.getConfig = mock.fn(() => tempDir)
+        mockJsonschema.registerSchema = mock.fn(async () => {})
+        const mod = createMockMod()
+        await instance.registerModule(mod, { authorship: false, fields: { updatedAt: 'modified' } })
+
+        const [filePath, options] = mockJsonschema.registerSchema.mock.calls[0].arguments
+        const schema = JSON.parse(await fs.readFile(filePath))
+        await fs.rm(tempDir, { recursive: true })
+
+        assert.equal(filePath, path.join(tempDir, 'authored', 'authored-test-mod.schema.json'))
+        assert.deepEqual(options, { replace: true })
+        assert.equal(schema.$anchor, 'authored-test-mod')
+        assert.deepEqual(schema.$merge.with.required, ['createdAt', 'modified'])
+        assert.equal(schema.$merge.with.properties.createdBy, undefined)
+        assert.deepEqual(mockJsonschema.extendSchema.mock.calls[0].arguments, ['testSchema', 'authored-test-mod'])
+      })
+    })
+
+    describe('#updateTimestamps()', () => {
+      it('should write mapped fields', async () => {
+        const { instance } = createInstance()
+        instance.getActor = () => 'u1'
+        instance.updateCourseTimestamp = mock.fn(async () => {})
+        const data = { _courseId: 'c1' }
+
+        await instance.updateTimestamps('insert', data, { options: { ...instance.getModuleOptions(), fields } })
+
+        assert.deepEqual(Object.keys(data).sort(), ['_courseId', 'author', 'created', 'editedAt', 'editor', 'modified'])
+        assert.equal(data.editedAt, data.modified)
+        assert.equal(instance.updateCourseTimestamp.mock.calls[0].arguments[0].updatedBy, 'u1')
+      })
+
+      it('should skip disabled fields and the course bump', async () => {
+        const { instance } = createInstance()
+        instance.getActor = () => 'u1'
+        instance.updateCourseTimestamp = mock.fn(async () => {})
+        const data = { _courseId: 'c1' }
+        const options = { ...instance.getModuleOptions(), timestamps: false, authorship: false, courseBump: false }
+
+        await instance.updateTimestamps('insert', data, { options })
+
+        assert.deepEqual(data, { _courseId: 'c1' })
+        assert.equal(instance.updateCourseTimestamp.mock.calls.length, 0)
+      })
+    })
+
+    describe('#updateAuthor()', () => {
+      it('should write mapped authorship fields', async () => {
+        const { instance } = createInstance()
+        const mod = createMockMod()
+        instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), fields })
+        const req = { method: 'PATCH', headers: {}, apiData: { modifying: true, data: { modified: '2024-01-01T10:00:00.000Z' } }, auth: { user: { _id: 'u1' } } }
+
+        await instance.updateAuthor(req, mod)
+
+        assert.deepEqual(req.apiData.data, { editor: 'u1' })
+        assert.deepEqual(req.apiData.expectedVersion, { updatedAt: '2024-01-01T10:00:00.000Z' })
+      })
+
+      it('should not attribute writes when authorship is disabled', async () => {
+        const { instance } = createInstance()
+        const mod = createMockMod()
+        instance.moduleOptions.set(mod, { ...instance.getModuleOptions(), authorship: false })
+        const req = { method: 'POST', apiData: { modifying: true, data: {} }, auth: { user: { _id: 'u1' } } }
+
+        await instance.updateAuthor(req, mod)
+
+        assert.deepEqual(req.apiData.data, {})
+      })
+    })
+
+    describe('#getAuthoredIndexes()', () => {
+      it('should leave out disabled fields and rename mapped ones', () => {
+        const { instance } = createInstance()
+        const options = { ...instance.getModuleOptions(), authorship: false, fields: { ...instance.getModuleOptions().fields, updatedAt: 'modified' } }
+
+        assert.deepEqual(instance.getAuthoredIndexes(options), [{ modified: 1 }, { _courseId: 1, modified: 1 }])
+      })
+    })
+
+    describe('ownership', () => {
+      function setup (mongodb) {
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        const mapped = { collectionName: 'tags' }
+        const unauthored = { collectionName: 'logs' }
+        instance.registeredModules = [mapped, unauthored]
+        instance.moduleOptions.set(mapped, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, ...fields } })
+        instance.moduleOptions.set(unauthored, { ...instance.getModuleOptions(), authorship: false })
+        return { instance }
+      }
+
+      it('should count owned documents by the mapped creator field, and only co-owned documents without authorship', async () => {
+        const mongodb = { count: mock.fn(async () => 1) }
+        const { instance } = setup(mongodb)
+
+        assert.deepEqual(await instance.getOwnedCounts('u1'), { tags: 1, logs: 1 })
+        assert.deepEqual(mongodb.count.mock.calls.map(c => c.arguments[1]), [
+          { $or: [{ author: 'u1' }, { owners: 'u1' }] },
+          { owners: 'u1' }
+        ])
+        assert.deepEqual(await instance.getOwnedCounts('u1', { sole: true }), { tags: 1, logs: 0 })
+      })
+
+      it('should transfer created documents by the mapped creator field', async () => {
+        const mongodb = {
+          find: mock.fn(async (name, query) => query.author ? [{ _id: 't1' }] : []),
+          insert: mock.fn(async data => ({ _id: 'j1', ...data }))
+        }
+        const { instance } = setup(mongodb)
+        instance.runTransfer = mock.fn(async () => ({}))
+
+        await instance.transferOwnership('u1', 'u2')
+
+        assert.deepEqual(mongodb.find.mock.calls.map(c => c.arguments[1]), [{ author: 'u1' }, { owners: 'u1' }, { owners: 'u1' }])
+        assert.deepEqual(mongodb.insert.mock.calls[0].arguments[1].collections, {
+          tags: { ids: ['t1'], coOwnedIds: [], createdByField: 'author', status: 'pending' },
+          logs: { ids: [], coOwnedIds: [], createdByField: undefined, status: 'pending' }
+        })
+      })
+
+      it('should move documents using the creator field recorded in the journal', async () => {
+        const updateMany = mock.fn(async () => ({ modifiedCount: 1 }))
+        const mongodb = { getCollection: mock.fn(() => ({ updateMany })), update: mock.fn(async () => {}) }
+        const { instance } = setup(mongodb)
+        instance.supportsTransactions = mock.fn(async () => false)
+
+        await instance.runTransfer({ _id: 'j1', from: 'u1', to: 'u2', collections: { tags: { ids: ['t1'], coOwnedIds: ['t2'], createdByField: 'author', status: 'pending' } } })
+
+        const [query, update] = updateMany.mock.calls[0].arguments
+        assert.deepEqual(query, { _id: { $in: ['t1'] }, author: 'u1' })
+        assert.deepEqual(update.$set, { author: 'u2' })
+        assert.deepEqual(updateMany.mock.calls[1].arguments[1][0].$set.owners.$filter.cond, { $ne: ['$$this', '$author'] })
+      })
+
+      it('should only promote co-owners of modules with authorship, by the mapped creator field', async () => {
+        const updateMany = mock.fn(async () => ({}))
+        const { instance } = setup({ getCollection: mock.fn(() => ({ updateMany })) })
+
+        await instance.releaseCoOwnership('u1')
+
+        const queries = updateMany.mock.calls.map(c => c.arguments[0])
+        assert.deepEqual(queries, [{ author: 'u1', 'owners.0': { $exists: true } }, { owners: 'u1' }, { owners: 'u1' }])
+        assert.deepEqual(updateMany.mock.calls[0].arguments[1][0].$set.author, { $arrayElemAt: ['$owners', 0] })
+      })
+
+      it('should find last editors by the mapped fields, skipping modules without authorship', async () => {
+        const distinct = mock.fn(async () => ['e1'])
+        const { instance } = setup({ getCollection: mock.fn(() => ({ distinct })) })
+        instance.userExists = mock.fn(async () => true)
+
+        assert.deepEqual(await instance.getLastEditors('u1'), ['e1'])
+        assert.deepEqual(distinct.mock.calls.map(c => c.arguments), [['editor', { author: 'u1' }]])
+      })
+    })
+
+    describe('#backfillAuthored()', () => {
+      it('should fill in the mapped fields, and skip modules without any authored fields', async () => {
+        const collection = {
+          countDocuments: mock.fn(async () => 1),
+          updateMany: mock.fn(async () => ({ modifiedCount: 1 }))
+        }
+        const mongodb = { getCollection: mock.fn(() => collection) }
+        const { instance, mockApp } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        mockApp.config.get = mock.fn(key => key.endsWith('.backfillFallbackUser') ? 'fallback' : undefined)
+        instance.log = mock.fn()
+        const mapped = { collectionName: 'tags' }
+        const untimed = { collectionName: 'notes' }
+        const none = { collectionName: 'logs' }
+        instance.registeredModules = [mapped, untimed, none]
+        instance.moduleOptions.set(mapped, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, ...fields } })
+        instance.moduleOptions.set(untimed, { ...instance.getModuleOptions(), timestamps: false })
+        instance.moduleOptions.set(none, { ...instance.getModuleOptions(), timestamps: false, authorship: false })
+
+        const { collections } = await instance.backfillAuthored()
+
+        assert.deepEqual(collections, {
+          tags: { missing: { created: 1, author: 1, modified: 1 }, modified: 1 },
+          notes: { missing: { createdBy: 1 }, modified: 1 }
+        })
+        assert.deepEqual(Object.keys(collection.updateMany.mock.calls[0].arguments[1][0].$set), ['created', 'modified', 'author'])
+        assert.deepEqual(Object.keys(collection.updateMany.mock.calls[1].arguments[1][0].$set), ['createdBy'])
+      })
+    })
+  })
+
+  describe('course transfers', () => {
+    const courseId = 'c1'
+    const asset1 = '5f8d0d55b54764421b7156c1'
+    const asset2 = '5f8d0d55b54764421b7156c2'
+
+    function setup ({ course = { _id: courseId, _type: 'course', createdBy: 'u1' }, otherContent = [] } = {}) {
+      const mongodb = {
+        find: mock.fn(async (collection, query) => {
+          if (collection === 'assets') return query._id.$in.filter(id => id.startsWith('5f8d')).map(_id => ({ _id }))
+          if (query._type === 'course') return course ? [course] : []
+          return [course, { _id: 'b1', _courseId: courseId, _graphic: { src: asset1 }, _items: [{ src: asset2 }] }]
+        }),
+        getCollection: mock.fn(() => ({
+          find: mock.fn(() => (async function * () { yield * otherContent })())
+        }))
+      }
+      const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+      return { instance, mongodb }
+    }
+
+    describe('#getCourseTransferScope()', () => {
+      it('should cover the course content and the assets it references', async () => {
+        const { instance, mongodb } = setup()
+
+        const scope = await instance.getCourseTransferScope(courseId)
+
+        assert.equal(scope.owner, 'u1')
+        assert.deepEqual(scope.filters, { content: { _courseId: courseId }, assets: { _id: { $in: [asset1, asset2] } } })
+        assert.deepEqual(scope.sharedAssetIds, [])
+        assert.deepEqual(mongodb.getCollection.mock.calls[0].arguments, ['content'])
+      })
+
+      it('should leave out assets referenced by other courses', async () => {
+        const { instance } = setup({ otherContent: [{ _id: 'b2', _courseId: 'c2', body: 'x', _graphic: { src: asset2 } }] })
+
+        const scope = await instance.getCourseTransferScope(courseId)
+
+        assert.deepEqual(scope.filters.assets, { _id: { $in: [asset1] } })
+        assert.deepEqual(scope.sharedAssetIds, [asset2])
+      })
+
+      it('should throw NOT_FOUND for unknown courses', async () => {
+        const { instance } = setup({ course: null })
+
+        await assert.rejects(() => instance.getCourseTransferScope(courseId), { message: 'Not found' })
+      })
+    })
+
+    describe('#getCourseTransferPreview()', () => {
+      it('should scope the owned summary and counts to the course', async () => {
+        const { instance } = setup()
+        instance.getOwnedSummary = mock.fn(async () => ({ courses: [{ _id: courseId, title: 'C' }], assets: [] }))
+        instance.getOwnedCounts = mock.fn(async () => ({ content: 2, assets: 2 }))
+
+        const preview = await instance.getCourseTransferPreview(courseId)
+        const filters = { content: { _courseId: courseId }, assets: { _id: { $in: [asset1, asset2] } } }
+
+        assert.deepEqual(instance.getOwnedSummary.mock.calls[0].arguments, ['u1', { filters }])
+        assert.deepEqual(instance.getOwnedCounts.mock.calls[0].arguments, ['u1', { filters, collections: ['content', 'assets'] }])
+        assert.deepEqual(preview, {
+          courseId,
+          owner: 'u1',
+          courses: [{ _id: courseId, title: 'C' }],
+          assets: [],
+          counts: { content: 2, assets: 2 },
+          sharedAssetIds: []
+        })
+      })
+    })
+
+    describe('#transferCourseOwnership()', () => {
+      it('should transfer from the course owner within the course scope', async () => {
+        const { instance } = setup()
+        instance.transferOwnership = mock.fn(async () => ({ moved: { content: 2 }, failed: {}, journalId: 'j1' }))
+
+        const result = await instance.transferCourseOwnership(courseId, 'u2', { reason: 'api' })
+
+        const [from, to, options] = instance.transferOwnership.mock.calls[0].arguments
+        assert.deepEqual([from, to], ['u1', 'u2'])
+        assert.deepEqual(options.collections, ['content', 'assets'])
+        assert.deepEqual(options.filters.content, { _courseId: courseId })
+        assert.equal(options.reason, 'api')
+        assert.deepEqual(result, { courseId, from: 'u1', moved: { content: 2 }, failed: {}, journalId: 'j1', sharedAssetIds: [] })
+      })
+
+      it('should reject transfers to the course owner', async () => {
+        const { instance } = setup()
+        instance.transferOwnership = mock.fn()
+
+        await assert.rejects(() => instance.transferCourseOwnership(courseId, 'u1'), { message: 'Invalid transfer target' })
+        assert.equal(instance.transferOwnership.mock.calls.length, 0)
+      })
+    })
+
+    describe('#getOwnedCounts()', () => {
+      it('should combine the owned query with a collection filter', async () => {
+        const mongodb = { count: mock.fn(async () => 1) }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'tags' }]
+
+        assert.deepEqual(await instance.getOwnedCounts('u1', { filters: { content: { _courseId: courseId } }, collections: ['content'] }), { content: 1 })
+        assert.deepEqual(mongodb.count.mock.calls[0].arguments[1], { $and: [{ _courseId: courseId }, { $or: [{ createdBy: 'u1' }, { owners: 'u1' }] }] })
+      })
+    })
+
+    describe('#courseTransferHandler()', () => {
+      it('should pass INVALID_PARAMS to next without transferTo', async () => {
+        const { instance } = setup()
+        const next = mock.fn()
+
+        await instance.courseTransferHandler({ params: { courseId }, body: {} }, { json: mock.fn() }, next)
+
+        assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params')
+      })
+
+      it('should respond with the transfer result', async () => {
+        const { instance } = setup()
+        instance.userCache = createMockCache([{ _id: 'u2' }])
+        instance.transferCourseOwnership = mock.fn(async () => ({ dryRun: true }))
+        const res = { json: mock.fn() }
+
+        await instance.courseTransferHandler({ params: { courseId }, body: { transferTo: 'u2', dryRun: true } }, res, mock.fn())
+
+        assert.deepEqual(instance.transferCourseOwnership.mock.calls[0].arguments, [courseId, 'u2', { dryRun: true, reason: 'api' }])
+        assert.deepEqual(res.json.mock.calls[0].arguments[0], { dryRun: true })
+      })
+    })
+  })
+
+  describe('content report', () => {
+    describe('#getContentReport()', () => {
+      it('should find courses and assets not updated since the cutoff, oldest first', async () => {
+        const mongodb = {
+          find: mock.fn(async collection => collection === 'content'
+            ? [{ _id: 'c1', displayTitle: 'Course', createdBy: 'u1', updatedAt: '2020-01-01T00:00:00.000Z', updatedBy: 'u2', _type: 'course' }]
+            : [{ _id: 'a1', createdBy: 'u1', updatedAt: '2020-01-02T00:00:00.000Z' }])
+        }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        instance.getAbandonedContent = mock.fn(async () => [])
+
+        const report = await instance.getContentReport({ days: 10 })
+
+        const [[, courseQuery, options], [, assetQuery]] = mongodb.find.mock.calls.map(c => c.arguments)
+        const expectedBefore = Date.now() - 10 * 86400000
+        assert.ok(Math.abs(Date.parse(report.before) - expectedBefore) < 5000)
+        const stale = { $or: [{ updatedAt: { $lt: new Date(report.before) } }, { updatedAt: { $lt: report.before } }] }
+        assert.deepEqual(courseQuery, { _type: 'course', ...stale })
+        assert.deepEqual(assetQuery, stale)
+        assert.deepEqual(options.sort, { updatedAt: 1 })
+        assert.deepEqual(report.stale, {
+          courses: [{ _id: 'c1', title: 'Course', createdBy: 'u1', updatedAt: '2020-01-01T00:00:00.000Z', updatedBy: 'u2' }],
+          assets: [{ _id: 'a1', title: 'a1', createdBy: 'u1', updatedAt: '2020-01-02T00:00:00.000Z', updatedBy: undefined }]
+        })
+        assert.equal(report.days, 10)
+        assert.deepEqual(report.abandoned, [])
+      })
+    })
+
+    describe('#getAbandonedContent()', () => {
+      it('should report disabled and locked users who created content', async () => {
+        const users = [
+          { _id: 'u1', email: 'a@b.c', isEnabled: false, isPermLocked: true },
+          { _id: 'u2', email: 'd@e.f', isTempLocked: true },
+          { _id: 'u3', email: 'g@h.i', isEnabled: false }
+        ]
+        const mongodb = {
+          find: mock.fn(async () => users),
+          count: mock.fn(async (collection, { createdBy }) => createdBy === 'u3' ? 0 : (collection === 'content' ? 4 : 0))
+        }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        instance.registeredModules = [{ collectionName: 'content' }, { collectionName: 'assets' }, { collectionName: 'content' }]
+        instance.getOwnedSummary = mock.fn(async () => ({ courses: [{ _id: 'c1', title: 'C' }], assets: [] }))
+
+        const abandoned = await instance.getAbandonedContent()
+
+        assert.deepEqual(mongodb.find.mock.calls[0].arguments[1], { $or: [{ isEnabled: false }, { isPermLocked: true }, { isTempLocked: true }] })
+        assert.equal(mongodb.count.mock.calls.length, 6)
+        assert.deepEqual(abandoned, [
+          { user: { _id: 'u1', email: 'a@b.c', firstName: undefined, lastName: undefined }, reasons: ['disabled', 'locked'], counts: { content: 4 }, courses: [{ _id: 'c1', title: 'C' }], assets: [] },
+          { user: { _id: 'u2', email: 'd@e.f', firstName: undefined, lastName: undefined }, reasons: ['locked'], counts: { content: 4 }, courses: [{ _id: 'c1', title: 'C' }], assets: [] }
+        ])
+      })
+
+      it('should count by each module\'s createdBy field, and skip modules without authorship', async () => {
+        const mongodb = {
+          find: mock.fn(async () => [{ _id: 'u1', isEnabled: false }]),
+          count: mock.fn(async () => 1)
+        }
+        const { instance } = createInstance({ waitForModule: mock.fn(async () => mongodb) })
+        const content = { collectionName: 'content' }
+        const assets = { collectionName: 'assets' }
+        instance.registeredModules = [content, assets]
+        instance.moduleOptions.set(content, { ...instance.getModuleOptions(), fields: { ...instance.getModuleOptions().fields, createdBy: 'author' } })
+        instance.moduleOptions.set(assets, { ...instance.getModuleOptions(), authorship: false })
+        instance.getOwnedSummary = mock.fn(async () => ({ courses: [], assets: [] }))
+
+        const [{ counts }] = await instance.getAbandonedContent()
+
+        assert.deepEqual(mongodb.count.mock.calls.map(c => c.arguments), [['content', { author: 'u1' }]])
+        assert.deepEqual(counts, { content: 1 })
+      })
+    })
+
+    describe('#reportHandler()', () => {
+      it('should default to the standard number of days', async () => {
+        const { instance } = createInstance()
+        instance.getContentReport = mock.fn(async () => ({}))
+        const res = { json: mock.fn() }
+
+        await instance.reportHandler({ query: {} }, res, mock.fn())
+
+        assert.deepEqual(instance.getContentReport.mock.calls[0].arguments, [{ days: 180 }])
+        assert.equal(res.json.mock.calls.length, 1)
+      })
+
+      it('should pass INVALID_PARAMS to next for an invalid days value', async () => {
+        const { instance } = createInstance()
+        instance.getContentReport = mock.fn(async () => ({}))
+        const next = mock.fn()
+
+        await instance.reportHandler({ query: { days: 'abc' } }, { json: mock.fn() }, next)
+
+        assert.equal(next.mock.calls[0].arguments[0].message, 'Invalid params')
+        assert.equal(instance.getContentReport.mock.calls.length, 0)
+      })
     })
   })
 })
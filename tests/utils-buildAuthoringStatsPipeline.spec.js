@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildAuthoringStatsPipeline from '../lib/utils/buildAuthoringStatsPipeline.js'
+
+describe('buildAuthoringStatsPipeline()', () => {
+  const from = '2024-01-01T00:00:00.000Z'
+  const to = '2024-02-01T00:00:00.000Z'
+
+  it('should count created documents by creation date from the first collection', () => {
+    const [match, project] = buildAuthoringStatsPipeline(['content', 'assets'], { from, to })
+    assert.deepEqual(match, { $match: { $or: [{ createdAt: { $gte: new Date(from), $lt: new Date(to) } }, { createdAt: { $gte: from, $lt: to } }] } })
+    assert.equal(project.$project.user, '$createdBy')
+    assert.deepEqual(project.$project.action, { $literal: 'created' })
+  })
+
+  it('should union in updates and every other collection', () => {
+    const pipeline = buildAuthoringStatsPipeline(['content', 'assets'], { from, to })
+    const unions = pipeline.filter(s => s.$unionWith).map(s => [s.$unionWith.coll, s.$unionWith.pipeline[1].$project.action.$literal])
+    assert.deepEqual(unions, [['content', 'updated'], ['assets', 'created'], ['assets', 'updated']])
+  })
+
+  it('should only count updates made after creation', () => {
+    const pipeline = buildAuthoringStatsPipeline(['content'], { from, to })
+    const { $match } = pipeline[2].$unionWith.pipeline[0]
+    assert.deepEqual($match.$expr, { $ne: ['$updatedAt', '$createdAt'] })
+    assert.deepEqual($match.$or, [{ updatedAt: { $gte: new Date(from), $lt: new Date(to) } }, { updatedAt: { $gte: from, $lt: to } }])
+  })
+
+  it('should filter by user', () => {
+    const pipeline = buildAuthoringStatsPipeline(['content'], { from, to, userId: 'u1' })
+    assert.equal(pipeline[0].$match.createdBy, 'u1')
+    assert.equal(pipeline[2].$unionWith.pipeline[0].$match.updatedBy, 'u1')
+  })
+
+  it('should group by the given interval', () => {
+    const pipeline = buildAuthoringStatsPipeline(['content'], { from, to, interval: 'week' })
+    const { $group } = pipeline.find(s => s.$group)
+    assert.equal($group._id.period.$dateToString.date.$dateTrunc.unit, 'week')
+    assert.deepEqual($group.count, { $sum: 1 })
+  })
+})
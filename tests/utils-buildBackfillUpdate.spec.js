@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildBackfillUpdate from '../lib/utils/buildBackfillUpdate.js'
+
+describe('buildBackfillUpdate()', () => {
+  it('should only match documents missing a field', () => {
+    const { query } = buildBackfillUpdate('u1')
+    assert.deepEqual(query, { $or: [{ createdAt: null }, { updatedAt: null }, { createdBy: null }] })
+  })
+
+  it('should derive missing timestamps from the ObjectId', () => {
+    const { update: [{ $set }] } = buildBackfillUpdate('u1')
+    assert.equal($set.createdAt.$ifNull[0], '$createdAt')
+    assert.deepEqual($set.createdAt.$ifNull[1].$dateToString.date, { $toDate: '$_id' })
+  })
+
+  it('should prefer createdAt for a missing updatedAt', () => {
+    const { update: [{ $set }] } = buildBackfillUpdate('u1')
+    assert.deepEqual($set.updatedAt.$ifNull.slice(0, 2), ['$updatedAt', '$createdAt'])
+  })
+
+  it('should set a missing creator to the fallback user', () => {
+    const { update: [{ $set }] } = buildBackfillUpdate('u1')
+    assert.deepEqual($set.createdBy, { $ifNull: ['$createdBy', 'u1'] })
+  })
+
+  it('should leave createdBy alone without a fallback user', () => {
+    const { query, update: [{ $set }] } = buildBackfillUpdate()
+    assert.equal($set.createdBy, undefined)
+    assert.equal(query.$or.length, 2)
+  })
+
+  it('should use mapped field names', () => {
+    const { query, update: [{ $set }] } = buildBackfillUpdate('u1', { fields: { createdAt: 'created', createdBy: 'author' } })
+    assert.deepEqual(query, { $or: [{ created: null }, { updatedAt: null }, { author: null }] })
+    assert.deepEqual($set.updatedAt.$ifNull.slice(0, 2), ['$updatedAt', '$created'])
+    assert.deepEqual($set.author, { $ifNull: ['$author', 'u1'] })
+  })
+
+  it('should leave out disabled fields', () => {
+    assert.deepEqual(buildBackfillUpdate('u1', { timestamps: false }).query, { $or: [{ createdBy: null }] })
+    assert.deepEqual(buildBackfillUpdate('u1', { authorship: false }).query, { $or: [{ createdAt: null }, { updatedAt: null }] })
+  })
+
+  it('should return null when there is nothing to fill in', () => {
+    assert.equal(buildBackfillUpdate(undefined, { timestamps: false }), null)
+  })
+})
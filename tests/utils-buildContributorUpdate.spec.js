@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildContributorUpdate from '../lib/utils/buildContributorUpdate.js'
+
+describe('buildContributorUpdate()', () => {
+  it('should add the user to the contributors set', () => {
+    const update = buildContributorUpdate('u1', '2024-01-01T00:00:00.000Z')
+    assert.deepEqual(update.$addToSet, { contributors: 'u1' })
+  })
+
+  it('should set the last-edit time and increment the edit count for the user', () => {
+    const update = buildContributorUpdate('u1', '2024-01-01T00:00:00.000Z')
+    assert.deepEqual(update.$set, { 'contributorActivity.u1.lastEditedAt': '2024-01-01T00:00:00.000Z' })
+    assert.deepEqual(update.$inc, { 'contributorActivity.u1.edits': 1 })
+  })
+
+  it('should increment by the given number of edits', () => {
+    const update = buildContributorUpdate('u1', '2024-01-01T00:00:00.000Z', 5)
+    assert.deepEqual(update.$inc, { 'contributorActivity.u1.edits': 5 })
+  })
+})
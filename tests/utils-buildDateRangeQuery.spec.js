@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildDateRangeQuery from '../lib/utils/buildDateRangeQuery.js'
+
+describe('buildDateRangeQuery()', () => {
+  const from = '2024-01-01T00:00:00.000Z'
+  const to = '2024-02-01T00:00:00.000Z'
+
+  it('should match the range against both Date and ISO string values', () => {
+    assert.deepEqual(buildDateRangeQuery('updatedAt', { $gte: from, $lt: to }), {
+      $or: [
+        { updatedAt: { $gte: new Date(from), $lt: new Date(to) } },
+        { updatedAt: { $gte: from, $lt: to } }
+      ]
+    })
+  })
+
+  it('should accept Dates and ignore undefined bounds', () => {
+    assert.deepEqual(buildDateRangeQuery('createdAt', { $gte: undefined, $lt: new Date(to) }), {
+      $or: [{ createdAt: { $lt: new Date(to) } }, { createdAt: { $lt: to } }]
+    })
+  })
+})
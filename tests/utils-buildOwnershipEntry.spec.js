@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildOwnershipEntry from '../lib/utils/buildOwnershipEntry.js'
+
+describe('buildOwnershipEntry()', () => {
+  it('should include the change details and a timestamp', () => {
+    const entry = buildOwnershipEntry({ action: 'transfer', previousOwner: 'u1', newOwner: 'u2', actor: 'admin', reason: 'api' })
+    assert.equal(entry.action, 'transfer')
+    assert.equal(entry.previousOwner, 'u1')
+    assert.equal(entry.newOwner, 'u2')
+    assert.equal(entry.actor, 'admin')
+    assert.equal(entry.reason, 'api')
+    assert.equal(entry.timestamp, new Date(entry.timestamp).toISOString())
+  })
+
+  it('should default missing details to null', () => {
+    const entry = buildOwnershipEntry({ action: 'addOwner', newOwner: 'u2' })
+    assert.equal(entry.previousOwner, null)
+    assert.equal(entry.actor, null)
+    assert.equal(entry.reason, null)
+  })
+})
@@ -23,18 +23,18 @@ describe('buildRecentlyChangedPipeline()', () => {
   it('should apply a per-collection filter as the branch $match', () => {
     const filters = { content: { _type: 'course' } }
     const pipeline = buildRecentlyChangedPipeline(['content', 'assets'], { filters })
-    assert.deepEqual(pipeline[0].$match, { _type: 'course' })
-    assert.deepEqual(pipeline.find(s => s.$unionWith).$unionWith.pipeline[0].$match, {})
+    assert.deepEqual(pipeline[0].$match.$and[0], { _type: 'course' })
+    assert.deepEqual(pipeline.find(s => s.$unionWith).$unionWith.pipeline[0].$match.$and[0], {})
   })
 
-  it('should default the branch $match to an empty query when no filter is given', () => {
+  it('should leave out documents without an updatedAt', () => {
     const pipeline = buildRecentlyChangedPipeline(['content'])
-    assert.deepEqual(pipeline[0].$match, {})
+    assert.deepEqual(pipeline[0].$match, { $and: [{}, { updatedAt: { $ne: null } }] })
   })
 
-  it('should sort by updatedAt descending and apply the limit', () => {
+  it('should sort by updatedAt descending (with _id as tiebreaker) and apply the limit', () => {
     const pipeline = buildRecentlyChangedPipeline(['content'], { limit: 5 })
-    assert.deepEqual(pipeline.at(-2), { $sort: { updatedAt: -1 } })
+    assert.deepEqual(pipeline.at(-2), { $sort: { updatedAt: -1, _id: -1 } })
     assert.deepEqual(pipeline.at(-1), { $limit: 5 })
   })
 
@@ -47,4 +47,80 @@ describe('buildRecentlyChangedPipeline()', () => {
     const pipeline = buildRecentlyChangedPipeline(['content'])
     assert.equal(pipeline.filter(s => s.$unionWith).length, 0)
   })
+
+  it('should not add a cursor $match when no cursor is given', () => {
+    const pipeline = buildRecentlyChangedPipeline(['content', 'assets'])
+    assert.equal(pipeline.filter(s => s.$match?.$expr).length, 0)
+  })
+
+  it('should match rows after the cursor within each branch', () => {
+    const after = { updatedAt: '2024-01-02T00:00:00.000Z', _id: 'abc' }
+    const pipeline = buildRecentlyChangedPipeline(['content', 'assets'], { after })
+    const branchCursors = [pipeline[0], pipeline.find(s => s.$unionWith).$unionWith.pipeline[0]].map(s => s.$match.$and[2])
+    assert.deepEqual(branchCursors[0], branchCursors[1])
+    const [older, sameTime] = branchCursors[0].$expr.$or
+    assert.deepEqual(older.$lt[1], new Date(after.updatedAt))
+    assert.deepEqual(sameTime.$and[1], { $lt: [{ $toString: '$_id' }, 'abc'] })
+    assert.deepEqual(branchCursors[0].$or, [{ updatedAt: { $lte: new Date(after.updatedAt) } }, { updatedAt: { $lte: after.updatedAt } }])
+    assert.equal(pipeline.filter(s => s.$match?.$expr).length, 0)
+  })
+
+  it('should only project readable fields when details are requested', () => {
+    const [, { $project }] = buildRecentlyChangedPipeline(['content'], { details: true })
+    assert.equal($project.title, 1)
+    assert.equal($project._type, 1)
+    assert.equal($project._courseId, 1)
+    assert.equal(buildRecentlyChangedPipeline(['content'])[1].$project.title, undefined)
+  })
+
+  it('should combine the user and date filters with each collection filter', () => {
+    const filters = { content: { _type: 'course' } }
+    const from = '2024-01-01T00:00:00.000Z'
+    const to = '2024-02-01T00:00:00.000Z'
+    const pipeline = buildRecentlyChangedPipeline(['content', 'assets'], { filters, updatedBy: 'u1', from, to })
+    const extra = {
+      updatedBy: 'u1',
+      updatedAt: { $ne: null },
+      $or: [{ updatedAt: { $gte: new Date(from), $lt: new Date(to) } }, { updatedAt: { $gte: from, $lt: to } }]
+    }
+    assert.deepEqual(pipeline[0].$match, { $and: [{ _type: 'course' }, extra] })
+    assert.deepEqual(pipeline.find(s => s.$unionWith).$unionWith.pipeline[0].$match, { $and: [{}, extra] })
+  })
+
+  it('should support open-ended date ranges', () => {
+    const from = '2024-01-01T00:00:00.000Z'
+    const [{ $match }] = buildRecentlyChangedPipeline(['content'], { from })
+    assert.deepEqual($match.$and[1], { updatedAt: { $ne: null }, $or: [{ updatedAt: { $gte: new Date(from) } }, { updatedAt: { $gte: from } }] })
+  })
+
+  describe('grouped by course', () => {
+    const pipeline = buildRecentlyChangedPipeline(['content', 'assets'], { groupBy: 'course', limit: 5 })
+
+    it('should group rows with a course by _courseId, keeping the latest change', () => {
+      assert.equal(pipeline[1].$project._courseId, 1)
+      const index = pipeline.findIndex(s => s.$group)
+      assert.deepEqual(pipeline[index - 2], { $match: { _courseId: { $ne: null } } })
+      assert.deepEqual(pipeline[index - 1], { $sort: { updatedAt: -1, _id: -1 } })
+      assert.deepEqual(pipeline[index].$group, {
+        _id: '$_courseId',
+        updatedAt: { $first: '$updatedAt' },
+        updatedBy: { $first: '$updatedBy' },
+        changes: { $sum: 1 }
+      })
+    })
+
+    it('should sort and limit the courses, then look up their titles', () => {
+      const index = pipeline.findIndex(s => s.$limit)
+      assert.deepEqual(pipeline[index], { $limit: 5 })
+      assert.ok(pipeline[index - 1].$sort)
+      assert.equal(pipeline[index + 1].$lookup.from, 'content')
+      assert.deepEqual(pipeline.at(-1), { $unset: 'course' })
+    })
+
+    it('should apply the cursor to the grouped rows', () => {
+      const grouped = buildRecentlyChangedPipeline(['content'], { groupBy: 'course', after: { updatedAt: '2024-01-02T00:00:00.000Z', _id: 'c1' } })
+      assert.ok(grouped.findIndex(s => s.$match?.$expr) > grouped.findIndex(s => s.$group))
+      assert.equal(grouped[0].$match.$and.length, 2)
+    })
+  })
 })
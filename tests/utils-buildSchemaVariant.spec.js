@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import buildSchemaVariant from '../lib/utils/buildSchemaVariant.js'
+
+const schema = {
+  $anchor: 'authored',
+  $merge: {
+    with: {
+      properties: {
+        createdAt: { type: 'string' },
+        createdBy: { type: 'string' },
+        updatedAt: { type: 'string' },
+        editedAt: { type: 'string' },
+        updatedBy: { type: 'string' },
+        owners: { type: 'array' }
+      },
+      required: ['createdAt', 'createdBy', 'updatedAt']
+    }
+  }
+}
+
+describe('buildSchemaVariant()', () => {
+  it('should set the anchor of the variant', () => {
+    assert.equal(buildSchemaVariant(schema, 'authored-content').$anchor, 'authored-content')
+  })
+
+  it('should keep every property by default', () => {
+    const { $merge: { with: variant } } = buildSchemaVariant(schema, 'authored-content')
+    assert.deepEqual(variant, schema.$merge.with)
+  })
+
+  it('should drop the timestamps when disabled', () => {
+    const { $merge: { with: variant } } = buildSchemaVariant(schema, 'a', { timestamps: false })
+    assert.deepEqual(Object.keys(variant.properties), ['createdBy', 'updatedBy', 'owners'])
+    assert.deepEqual(variant.required, ['createdBy'])
+  })
+
+  it('should drop the authorship properties when disabled', () => {
+    const { $merge: { with: variant } } = buildSchemaVariant(schema, 'a', { authorship: false })
+    assert.deepEqual(Object.keys(variant.properties), ['createdAt', 'updatedAt', 'editedAt', 'owners'])
+    assert.deepEqual(variant.required, ['createdAt', 'updatedAt'])
+  })
+
+  it('should rename mapped fields', () => {
+    const { $merge: { with: variant } } = buildSchemaVariant(schema, 'a', { fields: { createdAt: 'created', createdBy: 'author' } })
+    assert.deepEqual(Object.keys(variant.properties), ['created', 'author', 'updatedAt', 'editedAt', 'updatedBy', 'owners'])
+    assert.deepEqual(variant.properties.author, schema.$merge.with.properties.createdBy)
+    assert.deepEqual(variant.required, ['created', 'author', 'updatedAt'])
+  })
+
+  it('should not modify the original schema', () => {
+    buildSchemaVariant(schema, 'a', { timestamps: false, fields: { createdBy: 'author' } })
+    assert.equal(schema.$anchor, 'authored')
+    assert.ok(schema.$merge.with.properties.createdAt)
+  })
+})
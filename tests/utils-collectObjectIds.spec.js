@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import collectObjectIds from '../lib/utils/collectObjectIds.js'
+
+const id1 = '5f8d0d55b54764421b7156c1'
+const id2 = '5f8d0d55b54764421b7156c2'
+
+describe('collectObjectIds()', () => {
+  it('should find ids nested in objects and arrays', () => {
+    const doc = { _graphic: { src: id1 }, _items: [{ _graphic: { src: id2 } }], title: 'x' }
+    assert.deepEqual([...collectObjectIds(doc)], [id1, id2])
+  })
+
+  it('should find ObjectIds', () => {
+    const oid = { _bsontype: 'ObjectId', toString: () => id1 }
+    assert.deepEqual([...collectObjectIds({ _assetId: oid })], [id1])
+  })
+
+  it('should ignore strings which are not ids', () => {
+    assert.deepEqual([...collectObjectIds({ title: 'a title', body: `${id1} in text`, n: 24, d: new Date() })], [])
+  })
+
+  it('should normalise ids to lower case and dedupe them', () => {
+    assert.deepEqual([...collectObjectIds([id1.toUpperCase(), id1])], [id1])
+  })
+
+  it('should add to a given set', () => {
+    const ids = new Set([id2])
+    assert.equal(collectObjectIds({ src: id1 }, ids), ids)
+    assert.equal(ids.size, 2)
+  })
+})
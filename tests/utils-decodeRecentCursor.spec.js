@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import decodeRecentCursor from '../lib/utils/decodeRecentCursor.js'
+import encodeRecentCursor from '../lib/utils/encodeRecentCursor.js'
+
+describe('decodeRecentCursor()', () => {
+  it('should decode a cursor created by encodeRecentCursor', () => {
+    const row = { _id: 'abc', updatedAt: '2024-01-02T00:00:00.000Z' }
+    assert.deepEqual(decodeRecentCursor(encodeRecentCursor(row)), row)
+  })
+
+  it('should return undefined for a malformed cursor', () => {
+    assert.equal(decodeRecentCursor('not a cursor'), undefined)
+  })
+
+  it('should return undefined when the cursor is missing fields', () => {
+    const cursor = Buffer.from(JSON.stringify({ _id: 'abc' })).toString('base64url')
+    assert.equal(decodeRecentCursor(cursor), undefined)
+  })
+
+  it('should return undefined for an invalid date', () => {
+    const cursor = Buffer.from(JSON.stringify({ _id: 'abc', updatedAt: 'yesterday' })).toString('base64url')
+    assert.equal(decodeRecentCursor(cursor), undefined)
+  })
+})
@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import encodeRecentCursor from '../lib/utils/encodeRecentCursor.js'
+
+describe('encodeRecentCursor()', () => {
+  it('should encode the row position as a url-safe string', () => {
+    const cursor = encodeRecentCursor({ _id: 'abc', updatedAt: '2024-01-02T00:00:00.000Z', collection: 'content' })
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/)
+    assert.deepEqual(JSON.parse(Buffer.from(cursor, 'base64url').toString()), { updatedAt: '2024-01-02T00:00:00.000Z', _id: 'abc' })
+  })
+
+  it('should normalise Date values and non-string ids', () => {
+    const cursor = encodeRecentCursor({ _id: { toString: () => 'abc' }, updatedAt: new Date('2024-01-02T00:00:00.000Z') })
+    assert.deepEqual(JSON.parse(Buffer.from(cursor, 'base64url').toString()), { updatedAt: '2024-01-02T00:00:00.000Z', _id: 'abc' })
+  })
+})
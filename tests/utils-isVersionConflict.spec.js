@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import isVersionConflict from '../lib/utils/isVersionConflict.js'
+import toETag from '../lib/utils/toETag.js'
+
+describe('isVersionConflict()', () => {
+  const editedAt = '2024-01-01T10:00:00.500Z'
+
+  it('should match the current entity tag', () => {
+    assert.equal(isVersionConflict({ etags: [toETag(editedAt)] }, editedAt), false)
+    assert.equal(isVersionConflict({ etags: ['"other"', `W/${toETag(editedAt)}`] }, editedAt), false)
+    assert.equal(isVersionConflict({ etags: ['"other"'] }, editedAt), true)
+  })
+
+  it('should match an entity tag from a version bumped since the last edit', () => {
+    assert.equal(isVersionConflict({ etags: [toETag('2024-01-01T11:00:00.000Z')] }, editedAt), false)
+    assert.equal(isVersionConflict({ etags: [toETag('2024-01-01T09:00:00.000Z')] }, editedAt), true)
+  })
+
+  it('should accept any version for a wildcard tag', () => {
+    assert.equal(isVersionConflict({ etags: ['*'] }, editedAt), false)
+  })
+
+  it('should compare If-Unmodified-Since to the second', () => {
+    assert.equal(isVersionConflict({ unmodifiedSince: Date.parse('Mon, 01 Jan 2024 10:00:00 GMT') }, editedAt), false)
+    assert.equal(isVersionConflict({ unmodifiedSince: Date.parse('Mon, 01 Jan 2024 09:59:59 GMT') }, editedAt), true)
+  })
+
+  it('should conflict when the document was edited after the loaded updatedAt', () => {
+    assert.equal(isVersionConflict({ updatedAt: new Date(editedAt) }, editedAt), false)
+    assert.equal(isVersionConflict({ updatedAt: '2024-01-01T11:00:00.000Z' }, editedAt), false)
+    assert.equal(isVersionConflict({ updatedAt: '2024-01-01T10:00:00.000Z' }, editedAt), true)
+  })
+
+  it('should not conflict when the document has no edit time', () => {
+    assert.equal(isVersionConflict({ updatedAt: editedAt }, undefined), false)
+  })
+})
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import toETag from '../lib/utils/toETag.js'
+
+describe('toETag()', () => {
+  it('should return a quoted tag from the time', () => {
+    assert.equal(toETag('2024-01-01T00:00:00.000Z'), `"${Date.parse('2024-01-01T00:00:00.000Z')}"`)
+  })
+
+  it('should give the same tag for a Date and its ISO string', () => {
+    const date = new Date('2024-01-01T00:00:00.123Z')
+    assert.equal(toETag(date), toETag(date.toISOString()))
+  })
+
+  it('should include a hash of the data when given', () => {
+    const updatedAt = '2024-01-01T00:00:00.000Z'
+    const tag = toETag(updatedAt, { _id: 'd1', owners: [] })
+    assert.match(tag, new RegExp(`^"${Date.parse(updatedAt)}-[\\w-]+"$`))
+    assert.equal(tag, toETag(updatedAt, { _id: 'd1', owners: [] }))
+    assert.notEqual(tag, toETag(updatedAt, { _id: 'd1', owners: ['u2'] }))
+  })
+})